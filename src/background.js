@@ -5,38 +5,562 @@
  * Receives messages from the content script with filter counts and updates the extension
  * icon badge accordingly.
  *
+ * Also prunes expired temporary mutes ("spez ~7d") from the filter lists on a
+ * periodic chrome.alarms schedule, and refreshes subscribed blocklists.
+ *
+ * Filter log (chrome.storage.session):
+ * - filterLog_<tabId>: ring buffer of the last filter events reported by the content
+ *   script for that tab (category, matched rule, title or author, permalink)
+ * - filterCounts_<tabId>: { count, replies, categories } as last reported with the badge
+ *   count, where categories holds the hidden items per filter category (the popup shows
+ *   them next to its section headers)
+ * - Cleared when the tab navigates to a new URL or is closed
+ *
+ * Rule statistics (chrome.storage.local):
+ * - ruleStats: { "<category>:<rule>": { hits, lastHit, since } } for the personal lists
+ * - Hits arrive with the filter log events; "since" is set when a rule first appears
+ *   in a list, so rules that never matched can be told apart from brand-new ones
+ * - A rule's hits count each post or comment once per browser session (reloading a page
+ *   or filtering it again doesn't add hits): the "<category>:<rule>|<thing id>" pairs
+ *   already counted are kept in chrome.storage.session (ruleHitThings); lastHit is
+ *   updated on every match
+ * - Only this worker writes ruleStats, so hits from several tabs are never lost
+ *
+ * Subscriptions (chrome.storage.local):
+ * - subscriptions: [{ id, url, enabled, overrides, counts, updated, error }]
+ * - subscriptionLists_<id>: { users, keywords, subreddits, domains } as last fetched
+ * - A URL without a scheme (e.g. "lists/example-blocklist.txt") is resolved inside
+ *   the extension, which allows offline testing with a bundled file
+ * - Lists use the import file formats from rules.js (JSON export or plain text)
+ *
+ * Adding rules from the page:
+ * - Context menu "Block this domain" on links adds the link's host to hiddenDomains
+ * - Context menu "Add as keyword" on selected text adds it to hiddenKeywords
+ * - "addRule" messages from the content script's inline controls add users,
+ *   subreddits and domains
+ * - All three append to the same list keys the popup saves, skipping duplicates
+ *
+ * Profiles (chrome.storage.local):
+ * - profiles: [{ id, name, categories, lists, schedule }], edited in the popup
+ * - activeProfile: { id, by, time } ("" for the default settings, by "manual" or "schedule")
+ * - profileScheduled: profile the weekly schedules selected at the last check; the
+ *   schedule only switches profiles when this changes, so a profile picked by hand stays
+ *   active until the next scheduled change
+ * - The active profile's name is shown in the badge tooltip
+ *
+ * Sync merging:
+ * - Whenever the synced lists change, they are merged with this device's shadow copy
+ *   by storage.js (sync_reconcile), which writes back entries a concurrent write from
+ *   another device dropped and records the outcome for the popup's sync status
+ *
+ * List drafts (chrome.storage.local):
+ * - The popup stores typed lists, subscription overrides and profile edits as a draft
+ *   ("listDraft") on each keystroke; a draft still there a few seconds after the last
+ *   keystroke (the popup closed before saving it) is saved here with storage.js
+ *   (draft_apply), and again after a browser restart
+ *
  * Features:
  * - Per-tab filtered item tracking
- * - Real-time badge updates
+ * - Real-time badge updates ("5+2" when replies to filtered users are hidden too,
+ *   with a tooltip telling the two counts apart and breaking the items down by category)
  * - Teal badge color matching extension theme
  * - Compact display for large numbers (999+)
+ * - Expired mute pruning every few minutes
+ * - Per-tab filter log for the popup
+ * - Per-rule hit statistics
+ * - Subscription refresh every few hours and on request from the popup
+ * - Profile schedule check every minute
  *
  * @version 1.51
  * @author Vanco Ordanoski <vordan@infoproject.biz>
  * @date 2025-10-08
  */
 
+// Shared rule parser for expiry handling and storage layer for sharded lists
+importScripts('rules.js', 'storage.js');
+const __rules = cls_redditShieldRules({});
+const __storage = cls_redditShieldStorage({});
+
+// Alarm used to prune expired temporary mutes
+const __prune_alarm = 'pruneExpiredMutes';
+const __prune_interval_minutes = 5;
+
+// Maximum filter log events kept per tab
+const __log_size = 200;
+
+// Pending filter log writes, run one at a time so appends are not lost
+let __log_queue = Promise.resolve();
+
+// Pending rule statistics writes, run one at a time
+let __stats_queue = Promise.resolve();
+let __stats_seed_timeout = null;
+
+// Posts and comments already counted as rule hits this session, and how many are kept
+const __hit_things_key = 'ruleHitThings';
+const __hit_things_size = 5000;
+
+// Pending merge of the synced lists with this device's shadow copy
+let __sync_reconcile_timeout = null;
+
+// Pending save of a draft the popup stored; the popup saves its own drafts once
+// typing pauses, so this only catches drafts left behind when the popup closed
+const __draft_apply_delay_ms = 5000;
+let __draft_apply_timeout = null;
+
+// Alarm used to refresh subscribed blocklists
+const __subscriptions_alarm = 'refreshSubscriptions';
+const __subscriptions_interval_minutes = 360;
+
+// Alarm used to switch profiles on their weekly schedule
+const __profile_alarm = 'profileSchedule';
+const __profile_interval_minutes = 1;
+
+// Context menu items that add a link's domain or the selected text to the filter lists
+const __block_domain_menu = 'blockDomain';
+const __add_keyword_menu = 'addKeyword';
+
+// Names of the filter categories in the badge tooltip's breakdown
+const __category_names = {
+	users: 'user',
+	keywords: 'keyword',
+	subreddits: 'subreddit',
+	domains: 'domain',
+	flairs: 'flair',
+	attributes: 'post attribute'
+};
+
+// Preference flag that turns each list's filtering on
+const __category_flags = {
+	users: 'filterUsers',
+	keywords: 'filterKeywords',
+	subreddits: 'filterSubreddits',
+	domains: 'filterDomains'
+};
+
 // Initialize badge color on installation
 chrome.runtime.onInstalled.addListener(function() {
 	// Set badge background color to match extension theme (teal)
 	chrome.action.setBadgeBackgroundColor({ color: '#008b8b' });
+	_alarms_create();
+	_context_menus_create();
 });
 
-// Listen for messages from content scripts
+// Create the context menu items (they persist until the extension is updated)
+function _context_menus_create() {
+	chrome.contextMenus.removeAll(function() {
+		chrome.contextMenus.create({
+			id: __block_domain_menu,
+			title: 'RedditShield: Block this domain',
+			contexts: ['link'],
+			documentUrlPatterns: ['*://*.reddit.com/*']
+		});
+		chrome.contextMenus.create({
+			id: __add_keyword_menu,
+			title: 'RedditShield: Add "%s" as keyword',
+			contexts: ['selection'],
+			documentUrlPatterns: ['*://*.reddit.com/*']
+		});
+	});
+}
+
+// Run the action of a clicked context menu item
+chrome.contextMenus.onClicked.addListener(function(_info) {
+	if (_info.menuItemId === __block_domain_menu && _info.linkUrl) {
+		_domain_block(_info.linkUrl);
+	}
+	if (_info.menuItemId === __add_keyword_menu && _info.selectionText) {
+		_rule_add('keywords', __rules.keyword_from_text(_info.selectionText));
+	}
+});
+
+// Add a link's host to the domain filter list
+function _domain_block(_url) {
+	try {
+		const _link = new URL(_url);
+		if (_link.protocol === 'http:' || _link.protocol === 'https:') {
+			_rule_add('domains', _link.hostname);
+		}
+	} catch (_error) {
+		// Not a URL - nothing to block
+	}
+}
+
+// Append an entry to a category's personal list, the same storage key the popup saves to.
+// Calls back with "added", "exists" (an entry for the same value is already listed) or "error".
+function _rule_add(_category, _value, _callback) {
+	const _done = _callback || function() {};
+	const _list_key = __storage.category_keys[_category];
+	const _key = __rules.value_clean(_category, (_value || '').trim());
+	// Usernames are compared case-insensitively but stored as written
+	const _entry = _category === 'users' ? __rules.source_clean(_category, (_value || '').trim()) : _key;
+	if (!_list_key || _key === '') {
+		_done('error');
+		return;
+	}
+
+	const _flag = __category_flags[_category];
+	__storage.load([_list_key, _flag], function(_result) {
+		const _list = (_result[_list_key] || []).filter(function(_source) {
+			return typeof _source === 'string' && _source.trim() !== '';
+		});
+		const _exists = _list.some(function(_source) {
+			return __rules.value_clean(_category, __rules.entry_parse(_source).value) === _key;
+		});
+		if (_exists) {
+			_done('exists');
+			return;
+		}
+
+		const _data = {};
+		_data[_list_key] = _list.concat([_entry]);
+		// This list's filtering has never been configured - turn it on so the entry takes effect
+		if (_flag && _result[_flag] === undefined) {
+			_data[_flag] = true;
+		}
+		// Based on the list as loaded, so only the new entry is applied even if the list
+		// changed in the meantime
+		const _base = {};
+		_base[_list_key] = _list;
+		__storage.save(_data, function(_save_result) {
+			_done(_save_result.status === 'error' ? 'error' : 'added');
+		}, { label: `Added ${_entry} to ${_category} from the page`, bulk: false, base: _base });
+	});
+}
+
+// Make sure the alarms exist after a browser restart
+chrome.runtime.onStartup.addListener(_alarms_create);
+
+// Create the periodic alarms and run their jobs once immediately
+function _alarms_create() {
+	chrome.alarms.create(__prune_alarm, { periodInMinutes: __prune_interval_minutes });
+	chrome.alarms.create(__subscriptions_alarm, { periodInMinutes: __subscriptions_interval_minutes });
+	chrome.alarms.create(__profile_alarm, { periodInMinutes: __profile_interval_minutes });
+	_expired_mutes_prune();
+	_subscriptions_refresh();
+	_profile_schedule_apply();
+	_rule_stats_seed();
+	__storage.sync_reconcile();
+	__storage.draft_apply();
+}
+
+// Run the matching job when an alarm fires
+chrome.alarms.onAlarm.addListener(function(_alarm) {
+	if (_alarm.name === __prune_alarm) {
+		_expired_mutes_prune();
+	}
+	if (_alarm.name === __subscriptions_alarm) {
+		_subscriptions_refresh();
+	}
+	if (_alarm.name === __profile_alarm) {
+		_profile_schedule_apply();
+	}
+});
+
+// Switch to the first profile whose schedule covers the current time (the default
+// settings when none does), but only when that differs from the last check
+function _profile_schedule_apply() {
+	chrome.storage.local.get(['profiles', 'profileScheduled'], function(_result) {
+		const _now = new Date();
+		const _scheduled = (_result.profiles || []).find(function(_profile) {
+			return __rules.schedule_matches(__rules.schedule_parse(_profile.schedule), _now);
+		});
+		const _scheduled_id = _scheduled ? _scheduled.id : '';
+		if (_scheduled_id === (_result.profileScheduled || '')) {
+			return;
+		}
+		chrome.storage.local.set({
+			profileScheduled: _scheduled_id,
+			activeProfile: { id: _scheduled_id, by: 'schedule', time: Date.now() }
+		});
+	});
+}
+
+// Get the name of the active profile ("" for the default settings)
+function _profile_name_get(_callback) {
+	chrome.storage.local.get(['profiles', 'activeProfile'], function(_result) {
+		const _active_id = _result.activeProfile ? _result.activeProfile.id : '';
+		const _profile = (_result.profiles || []).find(function(_item) {
+			return _item.id === _active_id;
+		});
+		_callback(_profile ? _profile.name : '');
+	});
+}
+
+// Remove expired entries from every filter list in the active storage area
+function _expired_mutes_prune() {
+	__storage.load(__storage.list_keys, function(_result) {
+		const _pruned_lists = {};
+		__storage.list_keys.forEach(function(_key) {
+			if (!Array.isArray(_result[_key])) {
+				return;
+			}
+			const _kept = _result[_key].filter(function(_source) {
+				return typeof _source !== 'string' || !__rules.entry_parse(_source).expired;
+			});
+			if (_kept.length !== _result[_key].length) {
+				_pruned_lists[_key] = _kept;
+			}
+		});
+
+		// Only write when something actually expired; the lists as loaded are the base, so
+		// entries added since (popup, options page, other devices) are kept
+		const _pruned_keys = Object.keys(_pruned_lists);
+		if (_pruned_keys.length > 0) {
+			const _base = {};
+			_pruned_keys.forEach(function(_key) {
+				_base[_key] = _result[_key];
+			});
+			__storage.save(_pruned_lists, null, { label: 'Expired mutes removed', bulk: false, base: _base });
+		}
+	});
+}
+
+// Resolve a subscription URL, treating scheme-less paths as extension-bundled files
+function _subscription_url_resolve(_url) {
+	return /^[a-z][a-z0-9+.-]*:/i.test(_url) ? _url : chrome.runtime.getURL(_url.replace(/^\//, ''));
+}
+
+// Fetch and parse one subscription, resolving to its lists or rejecting with an error
+function _subscription_fetch(_subscription) {
+	return fetch(_subscription_url_resolve(_subscription.url), { cache: 'no-cache' })
+		.then(function(_response) {
+			if (!_response.ok) {
+				throw new Error(`HTTP ${_response.status}`);
+			}
+			return _response.text();
+		})
+		.then(function(_text) {
+			const _parsed = __rules.list_file_parse(_text, 'keywords');
+			if (_parsed.error) {
+				throw new Error(_parsed.error);
+			}
+			return _parsed.lists;
+		});
+}
+
+// Refresh all enabled subscriptions (or only the one with the given id)
+function _subscriptions_refresh(_only_id, _callback) {
+	chrome.storage.local.get(['subscriptions'], function(_result) {
+		const _targets = (_result.subscriptions || []).filter(function(_subscription) {
+			return _only_id ? _subscription.id === _only_id : _subscription.enabled;
+		});
+
+		// Fetch every target, recording either its lists or its error
+		const _fetches = _targets.map(function(_subscription) {
+			return _subscription_fetch(_subscription).then(function(_lists) {
+				const _counts = {};
+				__rules.categories.forEach(function(_category) {
+					_counts[_category] = (_lists[_category] || []).length;
+				});
+				return new Promise(function(_resolve) {
+					chrome.storage.local.set({ [`subscriptionLists_${_subscription.id}`]: _lists }, function() {
+						_resolve({ id: _subscription.id, counts: _counts, updated: Date.now(), error: null });
+					});
+				});
+			}).catch(function(_error) {
+				let _message = _error.message;
+				if (/^file:/i.test(_subscription.url)) {
+					_message += ' (file:// URLs cannot be fetched by extensions, bundle the file instead)';
+				}
+				return { id: _subscription.id, error: _message };
+			});
+		});
+
+		Promise.all(_fetches).then(function(_outcomes) {
+			// Re-read so edits made in the popup while fetching are kept
+			chrome.storage.local.get(['subscriptions'], function(_latest) {
+				const _subscriptions = (_latest.subscriptions || []).map(function(_subscription) {
+					const _outcome = _outcomes.find(function(_item) { return _item.id === _subscription.id; });
+					return _outcome ? Object.assign({}, _subscription, _outcome) : _subscription;
+				});
+				chrome.storage.local.set({ subscriptions: _subscriptions }, function() {
+					if (_callback) {
+						_callback(_subscriptions);
+					}
+				});
+			});
+		});
+	});
+}
+
+// Append events to a tab's filter log, keeping only the newest entries
+function _log_events_append(_tab_id, _events) {
+	const _key = `filterLog_${_tab_id}`;
+	__log_queue = __log_queue.then(function() {
+		return chrome.storage.session.get([_key]).then(function(_result) {
+			const _log = (_result[_key] || []).concat(_events).slice(-__log_size);
+			return chrome.storage.session.set({ [_key]: _log });
+		});
+	}).catch(function() {
+		// Keep the queue alive if session storage is unavailable
+	});
+}
+
+// Run a read-modify-write of ruleStats after any pending one
+function _rule_stats_update(_modify) {
+	__stats_queue = __stats_queue.then(function() {
+		return chrome.storage.local.get(['ruleStats']).then(function(_result) {
+			const _stats = _result.ruleStats || {};
+			_modify(_stats);
+			return chrome.storage.local.set({ ruleStats: _stats });
+		});
+	}).catch(function() {
+		// Keep the queue alive if a write fails
+	});
+}
+
+// Count a hit for the rule behind each filter event, once per post or comment
+function _rule_hits_record(_events) {
+	// Only rules from personal lists are tracked (not NSFW, post type or threshold filters),
+	// a hidden reply is not a hit of its parent's rule, and an item an allowlist spared
+	// was never filtered
+	const _rule_events = _events.filter(function(_event) {
+		return __storage.category_keys[_event.category] && !_event.reply && !_event.allowed;
+	});
+	if (_rule_events.length === 0) {
+		return;
+	}
+	__stats_queue = __stats_queue.then(function() {
+		return chrome.storage.session.get([__hit_things_key]).then(function(_result) {
+			const _counted = new Set(_result[__hit_things_key] || []);
+			const _new_hits = new Set();
+			_rule_events.forEach(function(_event, _index) {
+				const _thing_key = `${_event.category}:${_event.rule}|${_event.thing}`;
+				if (!_event.thing) {
+					_new_hits.add(_index);
+				} else if (!_counted.has(_thing_key)) {
+					_counted.add(_thing_key);
+					_new_hits.add(_index);
+				}
+			});
+
+			_rule_stats_update(function(_stats) {
+				_rule_events.forEach(function(_event, _index) {
+					const _key = `${_event.category}:${_event.rule}`;
+					const _stat = _stats[_key] || { hits: 0, lastHit: 0, since: _event.time };
+					if (_new_hits.has(_index)) {
+						_stat.hits++;
+					}
+					_stat.lastHit = Math.max(_stat.lastHit, _event.time);
+					_stats[_key] = _stat;
+				});
+			});
+			return chrome.storage.session.set({ [__hit_things_key]: Array.from(_counted).slice(-__hit_things_size) });
+		});
+	}).catch(function() {
+		// Keep the queue alive if a write fails
+	});
+}
+
+// Track exactly the rules in the personal lists: add new ones, drop removed ones
+function _rule_stats_seed() {
+	__storage.load(__storage.list_keys, function(_result) {
+		_rule_stats_update(function(_stats) {
+			const _current_keys = new Set();
+			Object.keys(__storage.category_keys).forEach(function(_category) {
+				(_result[__storage.category_keys[_category]] || []).forEach(function(_source) {
+					const _rule = typeof _source === 'string' ? _source.trim() : '';
+					if (_rule !== '') {
+						_current_keys.add(`${_category}:${_rule}`);
+					}
+				});
+			});
+
+			Object.keys(_stats).forEach(function(_key) {
+				if (!_current_keys.has(_key)) {
+					delete _stats[_key];
+				}
+			});
+			_current_keys.forEach(function(_key) {
+				if (!_stats[_key]) {
+					_stats[_key] = { hits: 0, lastHit: 0, since: Date.now() };
+				}
+			});
+		});
+	});
+}
+
+// Re-seed rule statistics shortly after the lists change (edits arrive per keystroke)
+chrome.storage.onChanged.addListener(function(_changes, _area_name) {
+	if (_area_name === 'session' || !Object.keys(_changes).some(__storage.list_key_is)) {
+		return;
+	}
+	clearTimeout(__stats_seed_timeout);
+	__stats_seed_timeout = setTimeout(_rule_stats_seed, 2000);
+});
+
+// Check the schedules right away when profiles are edited in the popup
+chrome.storage.onChanged.addListener(function(_changes, _area_name) {
+	if (_area_name === 'local' && _changes.profiles) {
+		_profile_schedule_apply();
+	}
+});
+
+// Merge synced lists with the shadow copy when they change (possibly on another device)
+// or when sync is turned on
+chrome.storage.onChanged.addListener(function(_changes, _area_name) {
+	const _synced_lists_changed = _area_name === 'sync' && Object.keys(_changes).some(__storage.list_key_is);
+	const _sync_enabled = _area_name === 'local' && _changes.enableSync && _changes.enableSync.newValue === true;
+	if (!_synced_lists_changed && !_sync_enabled) {
+		return;
+	}
+	clearTimeout(__sync_reconcile_timeout);
+	__sync_reconcile_timeout = setTimeout(__storage.sync_reconcile, 1000);
+});
+
+// Save a list draft the popup left behind, once it has stopped changing
+chrome.storage.onChanged.addListener(function(_changes, _area_name) {
+	const _draft_change = _area_name === 'local' && _changes[__storage.draft_key];
+	if (!_draft_change || !_draft_change.newValue) {
+		return;
+	}
+	clearTimeout(__draft_apply_timeout);
+	__draft_apply_timeout = setTimeout(__storage.draft_apply, __draft_apply_delay_ms);
+});
+
+// Listen for messages from content scripts and the popup
 chrome.runtime.onMessage.addListener(function(_request, _sender, _send_response) {
+	// Append filter events to the tab's ring buffer
+	if (_request.action === 'logFilterEvents') {
+		_log_events_append(_sender.tab.id, _request.events || []);
+		_rule_hits_record(_request.events || []);
+		_send_response({ status: 'success' });
+	}
+
+	// Add an entry chosen with the inline controls on a Reddit page
+	if (_request.action === 'addRule') {
+		_rule_add(_request.category, _request.value, function(_status) {
+			_send_response({ status: _status });
+		});
+		return true;
+	}
+
+	// Handle subscription refresh requests from the popup
+	if (_request.action === 'refreshSubscriptions') {
+		_subscriptions_refresh(_request.id, function(_subscriptions) {
+			_send_response({ status: 200, message: _subscriptions });
+		});
+		return true;
+	}
+
 	// Handle filter count updates
 	if (_request.action === 'updateBadge') {
 		const _tab_id = _sender.tab.id;
 		const _count = _request.count || 0;
+		const _replies = _request.replies || 0;
+		const _categories = _request.categories || {};
 
-		// Format count for display
+		// Format count for display ("5+2" when replies to filtered users were hidden too)
 		let _badge_text = '';
-		if (_count > 0) {
-			if (_count > 999) {
-				_badge_text = '999+';
-			} else {
-				_badge_text = _count.toString();
+		if (_count + _replies > 999) {
+			_badge_text = '999+';
+		} else if (_replies > 0) {
+			_badge_text = `${_count}+${_replies}`;
+			if (_badge_text.length > 4) {
+				_badge_text = (_count + _replies).toString();
 			}
+		} else if (_count > 0) {
+			_badge_text = _count.toString();
 		}
 
 		// Update badge for the specific tab
@@ -45,22 +569,63 @@ chrome.runtime.onMessage.addListener(function(_request, _sender, _send_response)
 			tabId: _tab_id
 		});
 
+		// The tooltip names the active profile, breaks the items down by category and
+		// tells hidden items and hidden replies apart
+		_profile_name_get(function(_profile_name) {
+			chrome.action.setTitle({
+				title: _badge_title_get(_count, _replies, _profile_name, _categories),
+				tabId: _tab_id
+			});
+		});
+
+		// Keep the breakdown for the popup
+		chrome.storage.session.set({
+			[`filterCounts_${_tab_id}`]: { count: _count, replies: _replies, categories: _categories }
+		}).catch(function() {
+			// Session storage may be unavailable; the badge is still updated
+		});
+
 		_send_response({ status: 'success' });
 	}
 
 	return true; // Keep message channel open for async response
 });
 
-// Clear badge when tab is closed
+// Badge tooltip naming the active profile and what was filtered on the page,
+// e.g. "RedditShield (Work): 40 hidden items (28 by subreddit, 12 by keyword)"
+function _badge_title_get(_count, _replies, _profile_name, _categories) {
+	const _title = _profile_name ? `RedditShield (${_profile_name})` : 'RedditShield';
+	const _parts = [];
+	if (_count > 0) {
+		// Largest categories first
+		const _breakdown = Object.keys(_categories || {})
+			.filter(function(_category) { return _categories[_category] > 0; })
+			.sort(function(_a, _b) { return _categories[_b] - _categories[_a]; })
+			.map(function(_category) { return `${_categories[_category]} by ${__category_names[_category] || _category}`; });
+		_parts.push(`${_count} hidden item${_count === 1 ? '' : 's'}` + (_breakdown.length > 0 ? ` (${_breakdown.join(', ')})` : ''));
+	}
+	if (_replies > 0) {
+		_parts.push(`${_replies} hidden repl${_replies === 1 ? 'y' : 'ies'} to filtered users`);
+	}
+	return _parts.length > 0 ? `${_title}: ${_parts.join(', ')}` : _title;
+}
+
+// Clear badge, filter log and breakdown when tab is closed
 chrome.tabs.onRemoved.addListener(function(_tab_id) {
 	chrome.action.setBadgeText({
 		text: '',
 		tabId: _tab_id
 	});
+	chrome.storage.session.remove([`filterLog_${_tab_id}`, `filterCounts_${_tab_id}`]);
 });
 
 // Reset badge when navigating to non-Reddit pages
 chrome.tabs.onUpdated.addListener(function(_tab_id, _change_info, _tab) {
+	// A new URL (including in-page navigation) starts a new filter log and breakdown
+	if (_change_info.url) {
+		chrome.storage.session.remove([`filterLog_${_tab_id}`, `filterCounts_${_tab_id}`]);
+	}
+
 	if (_change_info.status === 'loading' && _tab.url) {
 		// Clear badge if not on Reddit
 		if (!_tab.url.includes('reddit.com')) {
@@ -68,6 +633,12 @@ chrome.tabs.onUpdated.addListener(function(_tab_id, _change_info, _tab) {
 				text: '',
 				tabId: _tab_id
 			});
+			_profile_name_get(function(_profile_name) {
+				chrome.action.setTitle({
+					title: _badge_title_get(0, 0, _profile_name),
+					tabId: _tab_id
+				});
+			});
 		}
 	}
 });
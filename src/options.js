@@ -0,0 +1,483 @@
+/*
+ * RedditShield Options Page Controller
+ *
+ * Full-page editor for the filter lists and allowlists. Unlike the popup, which only
+ * opens on Reddit tabs, the options page works from anywhere (chrome://extensions,
+ * the popup's "Full editor" button, or the popup on a non-Reddit tab).
+ *
+ * Key functionality:
+ * - One tab per list (users, keywords, subreddits, domains, flairs, the allowlists and
+ *   the users thread cleanup protects)
+ * - Searchable table of the entries (value and note), sortable by entry, note, date added
+ *   and status, with an "only entries with problems" filter
+ * - Per-entry notes and the time each entry was added (kept by storage.js with the entry)
+ * - Validation with the shared rule parser (rules.js): invalid entries, users that can
+ *   never match, duplicates, temporary mutes and their time left
+ * - Bulk add (one entry per line, cleaned like imports; duplicates and invalid lines are
+ *   left in the box) and bulk delete of the selected entries
+ * - Import from a file (merge or replace), which the popup can't offer because it closes
+ *   when a file chooser opens; the popup's "Import a file" button opens this section
+ * - Saves pass the list as loaded as the base, so changes from other devices or the popup
+ *   are kept; bulk changes are labelled in the history and can be undone from the popup
+ * - The table reloads when the lists change elsewhere
+ *
+ * @version 1.51
+ * @author Vanco Ordanoski <vordan@infoproject.biz>
+ * @date 2025-10-08
+ */
+const cls_redditShieldOptions = function(_options) {
+	// Shared rule parser for validation and entry cleanup
+	const __rules = cls_redditShieldRules({});
+	// Shared storage layer (entry records, notes, sync merging)
+	const __storage = cls_redditShieldStorage({});
+
+	// Lists the editor shows, with the category their entries are parsed as (flair rules
+	// use the keyword syntax) and, where the category's syntax hint doesn't fit, their own
+	const __lists = [
+		{ key: "hiddenUsers", category: "users", name: "Users" },
+		{ key: "hiddenKeywords", category: "keywords", name: "Keywords" },
+		{ key: "hiddenSubreddits", category: "subreddits", name: "Subreddits" },
+		{ key: "hiddenDomains", category: "domains", name: "Domains" },
+		{
+			key: "hiddenFlairs", category: "keywords", name: "Flairs",
+			hint: "Post flairs as whole words, \"exact phrases\", * wildcards or /regex/. Add \"@ r/sub\" to limit an entry to some subreddits, \"~7d\" to let it expire."
+		},
+		{ key: "allowedUsers", category: "users", name: "Allowed users" },
+		{ key: "allowedKeywords", category: "keywords", name: "Allowed keywords" },
+		{ key: "allowedSubreddits", category: "subreddits", name: "Allowed subreddits" },
+		{ key: "allowedDomains", category: "domains", name: "Allowed domains" },
+		{
+			key: "protectedUsers", category: "users", name: "Protected users",
+			hint: "Users thread cleanup never adds: names, u/name or profile URLs. Add \"~7d\" to let an entry expire."
+		}
+	];
+
+	// Entry syntax shown above the bulk add box
+	const __syntax_hints = {
+		users: "Names, u/name or profile URLs. Add \"@ r/sub\" to limit an entry to some subreddits, \"~7d\" to let it expire.",
+		keywords: "Whole words, \"exact phrases\", * wildcards or /regex/. Add \"@ r/sub\" to limit an entry to some subreddits, \"~7d\" to let it expire.",
+		subreddits: "Names or r/name. Add \"~7d\" to let an entry expire.",
+		domains: "Domains (covering their subdomains), domain/path prefixes or full URLs. Add \"@ r/sub\" to limit an entry, \"~7d\" to let it expire."
+	};
+
+	let __active_key = "hiddenUsers"; // List shown in the table
+	let __entries = {}; // List key -> [{ value, added, note }] as last loaded
+	let __sort = { column: "added", descending: true };
+	let __selected = new Set(); // Selected entries of the active list
+	let __reload_pending = false; // Lists changed while a note was being edited
+	let __import_text = null; // Content of the chosen import file
+
+	// Initialize the options page
+	function _initialize() {
+		_events_render();
+		_entries_load();
+	}
+
+	// Set up event listeners for the controls
+	function _events_render() {
+		document.getElementById("searchInput").addEventListener("input", _table_render);
+		document.getElementById("problemsOnly").addEventListener("change", _table_render);
+		document.getElementById("selectAll").addEventListener("change", _select_all);
+		document.getElementById("deleteButton").addEventListener("click", _entries_delete);
+		document.getElementById("addButton").addEventListener("click", _entries_add);
+		document.getElementById("importFile").addEventListener("change", _import_file_read);
+		document.getElementById("importButton").addEventListener("click", _lists_import);
+
+		// Sort by a column, or flip the order when it already is the sort column
+		document.querySelectorAll("th.sortable").forEach((_header) => {
+			_header.addEventListener("click", function() {
+				const _column = _header.getAttribute("data-sort");
+				__sort = { column: _column, descending: __sort.column === _column ? !__sort.descending : _column === "added" };
+				_table_render();
+			});
+		});
+
+		// Reload when the lists change in the popup, on the page or on another device
+		let _debounce_timeout = null;
+		chrome.storage.onChanged.addListener(function(_changes, _area_name) {
+			if (_area_name === "session" || !Object.keys(_changes).some(__storage.list_key_is)) {
+				return;
+			}
+			clearTimeout(_debounce_timeout);
+			_debounce_timeout = setTimeout(function() {
+				// Don't replace a note while it is being typed
+				if (document.activeElement && document.activeElement.classList.contains("note-input")) {
+					__reload_pending = true;
+					return;
+				}
+				_entries_load();
+			}, 200);
+		});
+	}
+
+	// Get the definition of the active list
+	function _list_get() {
+		return __lists.find((_list) => _list.key === __active_key);
+	}
+
+	// Load every list with its entries' added times and notes
+	function _entries_load() {
+		__storage.records_load(__lists.map((_list) => _list.key), function(_result) {
+			__entries = _result;
+			__reload_pending = false;
+			// Forget selected entries that are no longer in the list
+			const _values = new Set((__entries[__active_key] || []).map((_entry) => _entry.value));
+			__selected = new Set([...__selected].filter((_value) => _values.has(_value)));
+			_tabs_render();
+			_table_render();
+		});
+	}
+
+	// Render one tab per list with its entry count
+	function _tabs_render() {
+		const _container = document.getElementById("listTabs");
+		_container.textContent = "";
+
+		__lists.forEach((_list) => {
+			const _tab = document.createElement("button");
+			_tab.className = "list-tab";
+			_tab.classList.toggle("active", _list.key === __active_key);
+			_tab.textContent = `${_list.name} (${(__entries[_list.key] || []).length})`;
+			_tab.addEventListener("click", function() {
+				__active_key = _list.key;
+				__selected.clear();
+				document.getElementById("selectAll").checked = false;
+				_tabs_render();
+				_table_render();
+			});
+			_container.appendChild(_tab);
+		});
+
+		const _list = _list_get();
+		document.getElementById("addDescription").textContent = _list.hint || __syntax_hints[_list.category];
+	}
+
+	// Check every entry of a list: value -> { error, status } (errors include duplicates)
+	function _entries_check(_list, _entries) {
+		const _parse = { keywords: __rules.keywords_compile, users: __rules.users_parse }[_list.category] || __rules.entries_parse;
+		const _checks = new Map();
+		_parse(_entries.map((_entry) => _entry.value)).forEach((_parsed) => {
+			let _status = "OK";
+			if (_parsed.error) {
+				_status = _parsed.error;
+			} else if (_parsed.expired) {
+				_status = "Expired";
+			} else if (_parsed.expires !== null) {
+				_status = `⏱ ${__rules.remaining_format(_parsed.expires)} left`;
+			}
+			_checks.set(_parsed.source, { error: Boolean(_parsed.error || _parsed.expired), status: _status });
+		});
+		return _checks;
+	}
+
+	// Render the active list's entries that match the search, in the chosen order
+	function _table_render() {
+		const _list = _list_get();
+		const _entries = __entries[_list.key] || [];
+		const _checks = _entries_check(_list, _entries);
+		const _search = document.getElementById("searchInput").value.trim().toLowerCase();
+		const _problems_only = document.getElementById("problemsOnly").checked;
+
+		const _check_get = (_entry) => _checks.get(_entry.value) || { error: false, status: "OK" };
+		const _shown = _entries.filter((_entry) => {
+			if (_problems_only && !_check_get(_entry).error) {
+				return false;
+			}
+			return _search === "" || _entry.value.toLowerCase().includes(_search) || _entry.note.toLowerCase().includes(_search);
+		});
+
+		// Problems sort before valid entries; ties keep the list order
+		const _sort_values = {
+			value: (_entry) => _entry.value.toLowerCase(),
+			note: (_entry) => _entry.note.toLowerCase(),
+			added: (_entry) => _entry.added,
+			status: (_entry) => (_check_get(_entry).error ? "0" : "1") + _check_get(_entry).status
+		};
+		const _sort_value = _sort_values[__sort.column];
+		_shown.sort((_a, _b) => {
+			const _x = _sort_value(_a);
+			const _y = _sort_value(_b);
+			const _order = typeof _x === "number" ? _x - _y : _x.localeCompare(_y);
+			return __sort.descending ? -_order : _order;
+		});
+
+		document.querySelectorAll("th.sortable").forEach((_header) => {
+			const _column = _header.getAttribute("data-sort");
+			_header.classList.toggle("sorted", _column === __sort.column);
+			_header.classList.toggle("descending", _column === __sort.column && __sort.descending);
+		});
+
+		const _rows = document.getElementById("entryRows");
+		_rows.textContent = "";
+		_shown.forEach((_entry) => {
+			_rows.appendChild(_row_create(_list, _entry, _check_get(_entry)));
+		});
+
+		document.getElementById("emptyMessage").textContent = _shown.length > 0 ? ""
+			: (_entries.length > 0 ? "No entries match the search" : "This list is empty");
+		_selection_render(_shown);
+	}
+
+	// Create the table row of one entry
+	function _row_create(_list, _entry, _check) {
+		const _row = document.createElement("tr");
+		_row.classList.toggle("invalid", _check.error);
+
+		const _select_cell = document.createElement("td");
+		_select_cell.className = "select-column";
+		const _checkbox = document.createElement("input");
+		_checkbox.type = "checkbox";
+		_checkbox.className = "entry-select";
+		_checkbox.value = _entry.value;
+		_checkbox.checked = __selected.has(_entry.value);
+		_checkbox.addEventListener("change", function() {
+			if (_checkbox.checked) {
+				__selected.add(_entry.value);
+			} else {
+				__selected.delete(_entry.value);
+			}
+			_selection_render();
+		});
+		_select_cell.appendChild(_checkbox);
+
+		const _value_cell = document.createElement("td");
+		_value_cell.className = "entry-value";
+		_value_cell.textContent = _entry.value;
+
+		// Notes save when the field loses focus or Enter is pressed
+		const _note_cell = document.createElement("td");
+		const _note = document.createElement("input");
+		_note.type = "text";
+		_note.className = "note-input";
+		_note.placeholder = "Add a note";
+		_note.value = _entry.note;
+		_note.addEventListener("keydown", function(_event) {
+			if (_event.key === "Enter") {
+				_note.blur();
+			}
+		});
+		_note.addEventListener("change", function() {
+			_note_save(_list, _entry, _note.value.trim());
+		});
+		_note.addEventListener("blur", function() {
+			if (__reload_pending) {
+				_entries_load();
+			}
+		});
+		_note_cell.appendChild(_note);
+
+		const _added_cell = document.createElement("td");
+		_added_cell.className = "entry-added";
+		// Entries from before timestamps were kept have no known date
+		_added_cell.textContent = _entry.added > 1 ? new Date(_entry.added * 1000).toLocaleString() : "—";
+
+		const _status_cell = document.createElement("td");
+		_status_cell.className = "entry-status";
+		_status_cell.textContent = _check.status;
+
+		_row.append(_select_cell, _value_cell, _note_cell, _added_cell, _status_cell);
+		return _row;
+	}
+
+	// Update the entry count, the delete button and the "select all" box
+	function _selection_render(_shown) {
+		const _entries = __entries[__active_key] || [];
+		const _boxes = Array.from(document.querySelectorAll(".entry-select"));
+		const _shown_count = _shown ? _shown.length : _boxes.length;
+		document.getElementById("entryCount").textContent =
+			`${_shown_count} of ${_entries.length} entries` + (__selected.size > 0 ? ` · ${__selected.size} selected` : "");
+
+		const _delete_button = document.getElementById("deleteButton");
+		_delete_button.disabled = __selected.size === 0;
+		_delete_button.textContent = __selected.size > 0 ? `Delete selected (${__selected.size})` : "Delete selected";
+		document.getElementById("selectAll").checked = _boxes.length > 0 && _boxes.every((_box) => _box.checked);
+	}
+
+	// Select or clear every entry shown in the table
+	function _select_all(_event) {
+		document.querySelectorAll(".entry-select").forEach((_box) => {
+			_box.checked = _event.target.checked;
+			if (_box.checked) {
+				__selected.add(_box.value);
+			} else {
+				__selected.delete(_box.value);
+			}
+		});
+		_selection_render();
+	}
+
+	// Key entries are compared by when adding (usernames are case-insensitive)
+	function _entry_key_get(_list, _source) {
+		return _list.category === "users" ? _source.toLowerCase() : _source;
+	}
+
+	// Add the lines of the bulk add box to the active list; duplicates and invalid
+	// lines stay in the box with the reason
+	function _entries_add() {
+		const _list = _list_get();
+		const _text_input = document.getElementById("addText");
+		const _values = (__entries[_list.key] || []).map((_entry) => _entry.value);
+		const _known = new Set(_values.map((_value) => _entry_key_get(_list, _value)));
+
+		const _added = [];
+		const _kept_lines = [];
+		_text_input.value.split("\n").forEach((_line) => {
+			const _trimmed = _line.trim();
+			if (_trimmed === "" || _trimmed.startsWith("#")) {
+				return;
+			}
+			// Same cleanup as imports: prefixes and URLs reduced, relative expiries made absolute
+			const _source = __rules.source_clean(_list.category, __rules.expiry_resolve(_trimmed));
+			const _key = _entry_key_get(_list, _source);
+			const _check = _entries_check(_list, [{ value: _source }]).get(_source);
+			if (_known.has(_key)) {
+				_kept_lines.push(`# already listed: ${_trimmed}`);
+			} else if (_check && _check.error) {
+				_kept_lines.push(`# ${_check.status}:`, _trimmed);
+			} else {
+				_known.add(_key);
+				_added.push(_source);
+			}
+		});
+
+		const _status_element = document.getElementById("statusMessage");
+		if (_added.length === 0) {
+			_status_element.textContent = _kept_lines.length > 0 ? "Nothing added, see the notes in the box" : "Nothing to add";
+			_text_input.value = _kept_lines.join("\n");
+			return;
+		}
+
+		__storage.save({ [_list.key]: _values.concat(_added) }, function(_result) {
+			if (_save_result_handle(_result)) {
+				return;
+			}
+			_text_input.value = _kept_lines.join("\n");
+			_status_element.textContent = `Added ${_added.length} ${_added.length === 1 ? "entry" : "entries"}` +
+				(_kept_lines.length > 0 ? ", see the notes in the box for lines that were skipped" : "");
+			_entries_load();
+		}, {
+			label: `Options page: added ${_added.length} to ${_list.name.toLowerCase()}`,
+			bulk: true,
+			base: { [_list.key]: _values }
+		});
+	}
+
+	// Remove the selected entries from the active list
+	function _entries_delete() {
+		const _list = _list_get();
+		const _values = (__entries[_list.key] || []).map((_entry) => _entry.value);
+		const _deleted = _values.filter((_value) => __selected.has(_value));
+		if (_deleted.length === 0) {
+			return;
+		}
+
+		__storage.save({ [_list.key]: _values.filter((_value) => !__selected.has(_value)) }, function(_result) {
+			if (_save_result_handle(_result)) {
+				return;
+			}
+			__selected.clear();
+			document.getElementById("statusMessage").textContent =
+				`Deleted ${_deleted.length} ${_deleted.length === 1 ? "entry" : "entries"} (undo from the popup's History section)`;
+			_entries_load();
+		}, {
+			label: `Options page: deleted ${_deleted.length} from ${_list.name.toLowerCase()}`,
+			bulk: true,
+			base: { [_list.key]: _values }
+		});
+	}
+
+	// Read the chosen import file
+	function _import_file_read(_event) {
+		const _file = _event.target.files[0];
+		const _import_button = document.getElementById("importButton");
+		__import_text = null;
+		_import_button.disabled = true;
+		if (!_file) {
+			return;
+		}
+		_file.text().then(function(_text) {
+			__import_text = _text;
+			_import_button.disabled = false;
+			document.getElementById("importStatus").textContent = `Loaded ${_file.name}, choose merge or replace and click Import`;
+		});
+	}
+
+	// Import the chosen file into the filter lists, merging with or replacing them
+	// (the same rules as the popup's paste import)
+	function _lists_import() {
+		const _status_element = document.getElementById("importStatus");
+		const _replace = document.getElementById("importMode").value === "replace";
+		const _parsed = __rules.list_file_parse(__import_text || "", document.getElementById("importCategory").value);
+		if (_parsed.error) {
+			_status_element.textContent = _parsed.error;
+			return;
+		}
+
+		// Replace or merge each imported list (merge skips entries already present)
+		const _data = {};
+		const _base = {};
+		const _summary = [];
+		Object.keys(_parsed.lists).forEach((_category) => {
+			const _key = __storage.category_keys[_category];
+			const _values = (__entries[_key] || []).map((_entry) => _entry.value);
+			const _current = _replace ? [] : _values;
+			const _added = [...new Set(_parsed.lists[_category].filter((_line) => !_current.includes(_line)))];
+			_data[_key] = _current.concat(_added);
+			_base[_key] = _values;
+			_summary.push(`${_added.length} ${_category}`);
+		});
+		// Imported preference flags are saved as they are
+		Object.assign(_data, _parsed.preferences);
+
+		if (_summary.length === 0) {
+			_status_element.textContent = "Nothing to import";
+			return;
+		}
+		__storage.save(_data, function(_result) {
+			if (_save_result_handle(_result, _status_element)) {
+				return;
+			}
+			_status_element.textContent = `Imported ${_summary.join(", ")}`;
+			_entries_load();
+		}, { label: `Import (${_replace ? "replace" : "merge"})`, bulk: true, base: _base });
+	}
+
+	// Save the note of one entry
+	function _note_save(_list, _entry, _note) {
+		if (_note === _entry.note) {
+			return;
+		}
+		__storage.save({}, function(_result) {
+			if (!_save_result_handle(_result)) {
+				_entry.note = _note;
+			}
+		}, { notes: { [_list.key]: { [_entry.value]: _note } } });
+	}
+
+	// Show save errors and sync fallbacks (in the bulk add status unless another element is
+	// given); returns true when the save failed
+	function _save_result_handle(_result, _status_element = document.getElementById("statusMessage")) {
+		if (_result.status === "error") {
+			_status_element.textContent = `Could not save: ${_result.message}`;
+			return true;
+		}
+		if (_result.status === "fallback") {
+			_status_element.textContent = _result.message;
+		}
+		return false;
+	}
+
+	// Public object for future extensibility
+	var pub = {
+		// Public methods can be added here in the future
+	};
+
+	// Initialize the options page controller
+	_initialize();
+	return pub;
+};
+
+// Initialize options page controller when DOM is ready
+document.addEventListener("DOMContentLoaded", function() {
+	cls_redditShieldOptions({});
+});
@@ -2,47 +2,149 @@
  * RedditShield Popup Controller
  *
  * This module manages the extension's popup interface and handles user interactions
- * with filtering controls. It manages filtered users, keywords, and subreddits,
+ * with filtering controls. It manages filtered users, keywords, subreddits and domains,
  * along with preference settings for logging and sync.
  *
  * Key functionality:
  * - Data persistence using Chrome Storage API (local or sync)
  * - Real-time saving of filter lists and preferences
- * - Thread cleanup feature to mass-filter users from current thread
+ * - Thread cleanup: previews the current thread's authors with comment counts (OP and
+ *   protected users unchecked or left out) and adds only the chosen ones; the last batch
+ *   can be undone
  * - Migration between local and sync storage when preferences change
- * - Input validation and cleanup (removes prefixes like "u/" and "r/")
+ * - Input validation and cleanup (removes prefixes like "u/" and "r/"); user lists are
+ *   tidied on change (profile URLs reduced to names, duplicates dropped) and entries that
+ *   can never match (deleted authors, invalid names) are flagged
+ * - Hidden item counts per category for the active tab next to each section header
+ *   (reported by reddit-shield.js, kept per tab by background.js), updated live
+ * - Filter log for the active tab with "unhide this item" and "remove this rule" actions;
+ *   items spared by an allowlist entry are listed with that entry
+ * - List history (kept by storage.js): snapshots with diffs, restore to before any change
+ *   and undo of the last bulk change (cleanup, import, stale rule removal, restore)
+ * - Per-rule hit statistics (recorded by background.js) with sorting and bulk removal
+ *   of rules that had no hits in N days
+ * - Subscribed blocklists: add/remove URLs, per-list enable and override entries, entry
+ *   counts and last update time (fetching is done by background.js)
+ * - Profiles (kept in chrome.storage.local): named sets of enabled categories and extra
+ *   list entries with an optional weekly schedule; switched from the "Profile" select
+ *   or by background.js when a schedule starts or ends
+ * - "Full editor" button (and non-Reddit tabs) open the options page (options.js) for
+ *   larger list edits
+ * - Import (merge or replace) and export of all lists and filter flags as versioned
+ *   JSON, with plain-text list import (pasted; files are imported on the options page)
+ * - Rule validation (keyword syntax, "@ r/sub" scopes) using the shared rule parser (rules.js)
  *
  * Storage structure:
  * - hiddenUsers: Array of usernames to filter
- * - hiddenKeywords: Array of keywords to filter from post titles
+ * - hiddenKeywords: Array of keyword rules (plain words, "phrases" or /regex/) to filter from post titles
  * - hiddenSubreddits: Array of subreddit names to filter
- * - hiddenDomains: Array of domains to filter (currently hidden feature)
- * - Preference flags: loggingEnabled, filterUsers, filterKeywords, filterSubreddits, filterDomains
+ * - hiddenDomains: Array of domains to filter ("example.com" covers subdomains,
+ *   "youtube.com/shorts" a path prefix); "Block this domain" on a link adds to it
+ * - hiddenFlairs: Array of flair rules (keyword syntax); post attribute toggles filterFlairs,
+ *   filterNsfw, filterSpoilers, filterPostTypes (with hiddenPostTypes), filterMinScore (with
+ *   minScore) and filterMinComments (with minComments)
+ * - allowedUsers, allowedKeywords, allowedSubreddits, allowedDomains: Allowlist entries
+ *   (same syntax) that spare matching items from every filter
+ * - protectedUsers: Users thread cleanup never adds (does not affect filtering)
+ * - lastCleanupBatch (chrome.storage.local): Users added by the last thread cleanup, for undo
+ * - Any list entry may end with "~7d" (temporary mute); relative durations are stored as
+ *   absolute "~YYYY-MM-DDTHH:MMZ" dates and pruned by background.js once expired
+ * - Preference flags: loggingEnabled, showInlineControls, filterUsers, filterKeywords, filterCommentKeywords, filterSubreddits, filterDomains
+ * - Display modes: displayModeUsers, displayModeKeywords, displayModeSubreddits, displayModeDomains,
+ *   displayModeFlairs, displayModeAttributes
+ *   ("hide", "collapse" or "blur")
+ * - threadMode: How a filtered comment treats its replies ("subtree" hides them with it,
+ *   "body" keeps them, "replies" also hides direct replies to a filtered user)
  * - enableSync: Controls whether to use chrome.storage.sync or chrome.storage.local
+ * - Lists are sharded across keys by storage.js to stay under chrome.storage.sync quotas;
+ *   if sync would overflow, data falls back to local storage and a warning is shown
+ * - Saves pass the lists as last loaded as the base, so only the popup's own edits are
+ *   merged into lists another device may have changed; the sync status (syncStatus,
+ *   written by storage.js) is shown below the storage usage
  *
  * @version 1.51
  * @author Vanco Ordanoski <vordan@infoproject.biz>
  * @date 2025-10-08
  */
 const cls_redditShieldPopup = function(_options) {
+	// Shared rule parser for keyword validation
+	const __rules = cls_redditShieldRules({});
+	// Shared storage layer (sharded lists, sync quota fallback)
+	const __storage = cls_redditShieldStorage({});
+
 	// Storage configuration keys
 	let __storage_keys = [
 		"hiddenUsers", "hiddenKeywords", "hiddenSubreddits", "hiddenDomains",
-		"loggingEnabled", "filterUsers", "filterKeywords", "filterSubreddits", "filterDomains"
+		"allowedUsers", "allowedKeywords", "allowedSubreddits", "allowedDomains",
+		"loggingEnabled", "filterUsers", "filterKeywords", "filterCommentKeywords", "filterSubreddits", "filterDomains",
+		"displayModeUsers", "displayModeKeywords", "displayModeSubreddits", "displayModeDomains",
+		"hiddenFlairs", "filterFlairs", "filterNsfw", "filterSpoilers", "filterPostTypes", "hiddenPostTypes",
+		"filterMinScore", "minScore", "filterMinComments", "minComments",
+		"displayModeFlairs", "displayModeAttributes", "showInlineControls", "threadMode", "protectedUsers"
 	];
 
+	// Map filter categories to their list textareas, preference toggles and allowlists
+	const __category_controls = {
+		users: { list: "userList", flag: "filterUsers", allow: "allowedUserList", allow_errors: "allowedUserErrors" },
+		keywords: { list: "keywordList", flag: "filterKeywords", allow: "allowedKeywordList", allow_errors: "allowedKeywordErrors" },
+		subreddits: { list: "subredditList", flag: "filterSubreddits", allow: "allowedSubredditList", allow_errors: "allowedSubredditErrors" },
+		domains: { list: "domainList", flag: "filterDomains", allow: "allowedDomainList", allow_errors: "allowedDomainErrors" },
+		flairs: { list: "flairList", flag: "filterFlairs" }
+	};
+
+	// Post attribute toggles saved as-is (flair rules are saved with the lists)
+	const __post_filter_flags = ["filterFlairs", "filterNsfw", "filterSpoilers", "filterPostTypes", "filterMinScore", "filterMinComments"];
+
+	// Preference flags included in exports
+	const __export_flags = ["filterUsers", "filterKeywords", "filterCommentKeywords", "filterSubreddits", "filterDomains"];
+
+	// Day count the stale rule removal was armed for (second click confirms)
+	let __stale_confirm_days = null;
+
+	// Lists as last loaded or saved by the popup; saves pass them as the base so only the
+	// popup's own edits are applied over changes from other devices
+	let __lists_base = {};
+	// Sync preference the lists were loaded with (switching areas merges everything)
+	let __loaded_enable_sync = null;
+
+	// Idle time before typed edits (lists, subscription overrides, profile entries and
+	// schedules) are saved (each save of a half-typed list entry would leave a synced
+	// tombstone behind); leaving the field saves at once. Each keystroke stores a draft
+	// first, so edits survive the popup closing before the save
+	const __draft_save_delay_ms = 1500;
+	let __draft_save_timeout = null;
+	// Edits stored in the draft since it was last saved
+	let __draft = {};
+
+	// Local storage key of the users added by the last thread cleanup (device-specific undo)
+	const __cleanup_batch_key = "lastCleanupBatch";
+
+	// Reddit tab the popup was opened on (its hidden item breakdown is shown live)
+	let __tab_id = null;
+
 	// Initialize the popup controller
 	function _initialize() {
 		// Check if current tab is on Reddit
 		chrome.tabs.query({ active: true, currentWindow: true }, function(_tabs) {
 			if (!_tabs[0] || !_tabs[0].url || !_tabs[0].url.includes('reddit.com')) {
-				// Not on Reddit - close popup immediately
+				// Not on Reddit - open the full list editor instead
+				chrome.runtime.openOptionsPage();
 				window.close();
 				return;
 			}
 			// On Reddit - continue with normal initialization
+			__tab_id = _tabs[0].id;
 			_events_render();
-			_data_load();
+			// Save edits a previous popup stored as a draft but closed before saving
+			__storage.draft_apply(function() {
+				_data_load(function() {
+					// The log checks rules against the loaded lists
+					_filter_log_load(_tabs[0].id);
+				});
+			});
+			_filter_counts_load();
+			_subscriptions_load();
+			_profiles_load();
 		});
 	}
 
@@ -52,163 +154,1431 @@ const cls_redditShieldPopup = function(_options) {
 		const _close_button = document.getElementById("closeButton");
 		if (_close_button) {
 			_close_button.addEventListener("click", function() {
+				_draft_flush();
 				window.close();
 			});
 		}
 
-		// Event listeners for text input fields
-		document.getElementById("userList").addEventListener("input", _data_save);
-		document.getElementById("keywordList").addEventListener("input", _data_save);
-		document.getElementById("subredditList").addEventListener("input", _data_save);
-		document.getElementById("domainList").addEventListener("input", _data_save);
+		// Event listener for the full list editor (options page)
+		document.getElementById("optionsButton").addEventListener("click", function() {
+			_draft_flush();
+			chrome.runtime.openOptionsPage();
+			window.close();
+		});
+
+		// Event listeners for text input fields (saved once typing pauses or the list loses focus)
+		["userList", "keywordList", "subredditList", "domainList", "protectedUserList", "flairList"].concat(
+			__rules.categories.map((_category) => __category_controls[_category].allow)
+		).forEach((_list_id) => {
+			document.getElementById(_list_id).addEventListener("input", _list_draft_store);
+			document.getElementById(_list_id).addEventListener("change", _draft_flush);
+		});
+		// Save pending edits when the popup closes
+		window.addEventListener("pagehide", _draft_flush);
+
+		// Validate rule syntax as lists are edited
+		document.getElementById("userList").addEventListener("input", _lists_validate);
+		document.getElementById("keywordList").addEventListener("input", _lists_validate);
+		document.getElementById("subredditList").addEventListener("input", _lists_validate);
+		document.getElementById("domainList").addEventListener("input", _lists_validate);
+
+		// Pin relative mute durations ("~7d") to absolute dates once editing is done
+		document.getElementById("userList").addEventListener("change", _expiries_resolve);
+		document.getElementById("keywordList").addEventListener("change", _expiries_resolve);
+		document.getElementById("subredditList").addEventListener("change", _expiries_resolve);
+		document.getElementById("domainList").addEventListener("change", _expiries_resolve);
+
+		// Allowlists are validated and resolved like the filter lists
+		__rules.categories.forEach((_category) => {
+			const _allow_list = document.getElementById(__category_controls[_category].allow);
+			_allow_list.addEventListener("input", _lists_validate);
+			_allow_list.addEventListener("change", _expiries_resolve);
+		});
+
+		// Protected users are validated and resolved like the filter lists
+		document.getElementById("protectedUserList").addEventListener("input", _lists_validate);
+		document.getElementById("protectedUserList").addEventListener("change", _expiries_resolve);
+
+		// Tidy user lists (prefixes, profile URLs, duplicates) once editing is done
+		["userList", __category_controls.users.allow, "protectedUserList"].forEach((_list_id) => {
+			document.getElementById(_list_id).addEventListener("change", _users_tidy);
+		});
+
+		// Event listeners for the thread cleanup preview
+		document.getElementById("cleanupUsersSelectAll").addEventListener("change", function(_event) {
+			document.querySelectorAll(".cleanup-preview-checkbox").forEach((_checkbox) => {
+				_checkbox.checked = _event.target.checked;
+			});
+			_cleanup_preview_count_render();
+		});
+		document.getElementById("cleanupUsersAddButton").addEventListener("click", _cleanup_users_add);
+		document.getElementById("cleanupUsersCancelButton").addEventListener("click", _cleanup_preview_close);
+		document.getElementById("cleanupUsersUndoButton").addEventListener("click", _cleanup_users_undo);
+
+		// Event listeners for post filters
+		document.getElementById("flairList").addEventListener("input", _lists_validate);
+		document.getElementById("flairList").addEventListener("change", _expiries_resolve);
+		__post_filter_flags.forEach((_flag) => {
+			document.getElementById(_flag).addEventListener("change", _data_save);
+		});
+		document.querySelectorAll(".post-type-checkbox").forEach((_checkbox) => {
+			_checkbox.addEventListener("change", _data_save);
+		});
+		document.getElementById("minScore").addEventListener("input", _data_save);
+		document.getElementById("minComments").addEventListener("input", _data_save);
+		document.getElementById("displayModeFlairs").addEventListener("change", _data_save);
+		document.getElementById("displayModeAttributes").addEventListener("change", _data_save);
 
 		// Event listeners for checkbox controls
 		document.getElementById("loggingEnabled").addEventListener("change", _data_save);
 		document.getElementById("filterUsers").addEventListener("change", _data_save);
 		document.getElementById("filterKeywords").addEventListener("change", _data_save);
+		document.getElementById("filterCommentKeywords").addEventListener("change", _data_save);
 		document.getElementById("filterSubreddits").addEventListener("change", _data_save);
 		document.getElementById("filterDomains").addEventListener("change", _data_save);
+		document.getElementById("showInlineControls").addEventListener("change", _data_save);
 		document.getElementById("enableSync").addEventListener("change", _data_save);
 
-		// Event listeners for cleanup buttons
-		document.addEventListener("DOMContentLoaded", function() {
-			const _users_button = document.getElementById("cleanupUsersButton");
-			if (_users_button) {
-				_users_button.addEventListener("click", _cleanup_users_execute);
-			}
+		// Event listeners for display mode selects
+		document.getElementById("displayModeUsers").addEventListener("change", _data_save);
+		document.getElementById("displayModeKeywords").addEventListener("change", _data_save);
+		document.getElementById("displayModeSubreddits").addEventListener("change", _data_save);
+		document.getElementById("displayModeDomains").addEventListener("change", _data_save);
+		document.getElementById("threadMode").addEventListener("change", _data_save);
 
-			const _keywords_button = document.getElementById("cleanupKeywordsButton");
-			if (_keywords_button) {
-				_keywords_button.addEventListener("click", _cleanup_keywords_execute);
-			}
+		// Event listeners for rule statistics
+		document.getElementById("ruleStatsSection").addEventListener("toggle", _rule_stats_load);
+		document.getElementById("ruleStatsCategory").addEventListener("change", _rule_stats_load);
+		document.getElementById("ruleStatsSort").addEventListener("change", _rule_stats_load);
+		document.getElementById("ruleStatsDays").addEventListener("input", function() {
+			_rule_stats_confirm_reset();
+			_rule_stats_load();
+		});
+		document.getElementById("ruleStatsStaleButton").addEventListener("click", _rule_stats_stale_remove);
 
-			const _subreddits_button = document.getElementById("cleanupSubredditsButton");
-			if (_subreddits_button) {
-				_subreddits_button.addEventListener("click", _cleanup_subreddits_execute);
-			}
+		// Event listeners for list history
+		document.getElementById("historySection").addEventListener("toggle", _history_load);
+		document.getElementById("historyUndoButton").addEventListener("click", _history_undo);
+
+		// Show merges from other devices as they happen
+		chrome.storage.onChanged.addListener(_storage_changes_handle);
+
+		// Event listeners for subscriptions
+		document.getElementById("subscriptionAddButton").addEventListener("click", _subscription_add);
+		document.getElementById("subscriptionRefreshButton").addEventListener("click", function() {
+			_subscriptions_refresh_request(null);
 		});
+
+		// Event listeners for profiles
+		document.getElementById("activeProfile").addEventListener("change", function(_event) {
+			_profile_activate(_event.target.value);
+		});
+		document.getElementById("profileAddButton").addEventListener("click", _profile_add);
+
+		// Event listeners for import and export
+		document.getElementById("exportButton").addEventListener("click", _lists_export);
+		// The popup closes when a file chooser opens, so files are imported on the options page
+		document.getElementById("importFileButton").addEventListener("click", function() {
+			_draft_flush();
+			chrome.tabs.create({ url: chrome.runtime.getURL("options.html#import") });
+			window.close();
+		});
+		document.getElementById("importButton").addEventListener("click", _lists_import);
+
+		// Event listeners for cleanup buttons (this runs after DOMContentLoaded, so they are wired directly)
+		document.getElementById("cleanupUsersButton").addEventListener("click", _cleanup_users_execute);
+		document.getElementById("cleanupKeywordsButton").addEventListener("click", _cleanup_keywords_execute);
+		document.getElementById("cleanupSubredditsButton").addEventListener("click", _cleanup_subreddits_execute);
+		document.getElementById("cleanupDomainsButton").addEventListener("click", _cleanup_domains_execute);
 	}
 
-	// Get storage area based on sync preferences
-	function _storage_area_get() {
-		const _enable_sync = document.getElementById("enableSync").checked;
-		return _enable_sync ? chrome.storage.sync : chrome.storage.local;
+	// Validate all filter lists and show errors below each list
+	function _lists_validate() {
+		// Keyword rules are compiled to also catch regex errors, other lists only parse scopes
+		_list_validate("keywordList", "keywordErrors", __rules.keywords_compile);
+		_list_validate("userList", "userErrors", __rules.users_parse);
+		_list_validate("subredditList", "subredditErrors", __rules.entries_parse);
+		_list_validate("domainList", "domainErrors", __rules.entries_parse);
+		_list_validate("flairList", "flairErrors", __rules.keywords_compile);
+		_list_validate("protectedUserList", "protectedUserErrors", __rules.users_parse);
+
+		// Allowlists use the same syntax as the filter lists
+		__rules.categories.forEach((_category) => {
+			const _controls = __category_controls[_category];
+			const _parse = { keywords: __rules.keywords_compile, users: __rules.users_parse }[_category] || __rules.entries_parse;
+			_list_validate(_controls.allow, _controls.allow_errors, _parse);
+		});
 	}
 
-	// Save data to storage
-	function _data_save() {
-		// Get data from input fields
-		const _users_string = document.getElementById("userList").value;
-		const _users_array = _users_string.split("\n").map(item => item.trim());
+	// Validate a single list with the given parser and render its errors and mute timers
+	function _list_validate(_list_id, _errors_id, _parse) {
+		const _list = document.getElementById(_list_id);
+		const _errors_element = document.getElementById(_errors_id);
+		const _entries = _parse(_list.value.split("\n"));
+		const _invalid_entries = _entries.filter((_entry) => _entry.error);
+		const _temporary_entries = _entries.filter((_entry) => !_entry.error && _entry.expires !== null);
+
+		// Build one line per invalid entry
+		_errors_element.textContent = "";
+		_invalid_entries.forEach((_entry) => {
+			const _line = document.createElement("div");
+			_line.textContent = `${_entry.source}: ${_entry.error}`;
+			_errors_element.appendChild(_line);
+		});
+
+		// Build one line per temporary mute showing the time left
+		_temporary_entries.forEach((_entry) => {
+			const _line = document.createElement("div");
+			_line.className = "mute-remaining";
+			_line.textContent = `⏱ ${_entry.value}: ${__rules.remaining_format(_entry.expires)}${_entry.expired ? "" : " left"}`;
+			_errors_element.appendChild(_line);
+		});
+
+		_list.classList.toggle("invalid", _invalid_entries.length > 0);
+	}
+
+	// Rewrite relative expiries in a list to absolute dates and save
+	function _expiries_resolve(_event) {
+		const _list = _event.target;
+		const _resolved = _list.value.split("\n").map((_line) => __rules.expiry_resolve(_line));
+		if (_resolved.join("\n") !== _list.value) {
+			_list.value = _resolved.join("\n");
+			_data_save();
+			_lists_validate();
+		}
+	}
+
+	// Rewrite "u/" prefixes and pasted profile URLs to plain names and drop repeated users
+	function _users_tidy(_event) {
+		const _list = _event.target;
+		const _seen = new Set();
+		const _tidy_lines = [];
+
+		_list.value.split("\n").forEach((_line) => {
+			if (_line.trim() === "") {
+				_tidy_lines.push(_line);
+				return;
+			}
+			const _clean = __rules.source_clean("users", _line.trim());
+			const _entry = __rules.entry_parse(_clean);
+			const _name = __rules.value_clean("users", _entry.value);
+			// The same user with the same scope and expiry is listed once (names that can never match are kept and flagged)
+			const _key = (_name + _entry.source.slice(_entry.value.length)).toLowerCase();
+			if (_name !== "" && _seen.has(_key)) {
+				return;
+			}
+			_seen.add(_key);
+			_tidy_lines.push(_clean);
+		});
 
-		const _keywords_string = document.getElementById("keywordList").value;
-		const _keywords_array = _keywords_string.split("\n").map(item => item.trim());
+		if (_tidy_lines.join("\n") !== _list.value) {
+			_list.value = _tidy_lines.join("\n");
+			_data_save();
+			_lists_validate();
+		}
+	}
 
-		const _subreddits_string = document.getElementById("subredditList").value;
-		const _subreddits_array = _subreddits_string.split("\n").map(item => item.trim());
+	// Store typed edits as a draft right away and save them once typing pauses
+	// _changes: { lists, base } and/or { updates: { <storage key>: { <id>: changes } } }
+	function _draft_store(_changes) {
+		if (_changes.lists) {
+			__draft.lists = _changes.lists;
+			__draft.base = _changes.base;
+		}
+		Object.keys(_changes.updates || {}).forEach((_key) => {
+			__draft.updates = __draft.updates || {};
+			__draft.updates[_key] = __draft.updates[_key] || {};
+			Object.keys(_changes.updates[_key]).forEach((_id) => {
+				__draft.updates[_key][_id] = Object.assign({}, __draft.updates[_key][_id], _changes.updates[_key][_id]);
+			});
+		});
+		__storage.draft_store(__draft);
+		clearTimeout(__draft_save_timeout);
+		__draft_save_timeout = setTimeout(_draft_flush, __draft_save_delay_ms);
+	}
 
-		const _domains_string = document.getElementById("domainList").value;
-		const _domains_array = _domains_string.split("\n").map(item => item.trim());
+	// Store the typed lists as a draft
+	function _list_draft_store() {
+		_draft_store({ lists: _lists_values_get(), base: Object.assign({}, __lists_base) });
+	}
+
+	// Save the drafted edits now if a save is pending
+	function _draft_flush() {
+		if (__draft_save_timeout === null) {
+			return;
+		}
+		clearTimeout(__draft_save_timeout);
+		__draft_save_timeout = null;
+		// Later keystrokes start a new draft, based on the lists as saved here
+		if (__draft.lists) {
+			_lists_base_update(__draft.lists);
+		}
+		__draft = {};
+		__storage.draft_apply(function(_result) {
+			if (_result) {
+				_save_result_handle(_result);
+			}
+		});
+	}
+
+	// Save data to storage
+	// _change: optional { label, bulk } for the history snapshot (event listeners pass an Event, which is ignored)
+	function _data_save(_change) {
+		const _history_change = _change && _change.label ? _change : null;
 
 		// Get preferences from checkbox controls
 		const _logging_enabled = document.getElementById("loggingEnabled").checked;
 		const _filter_users = document.getElementById("filterUsers").checked;
 		const _filter_keywords = document.getElementById("filterKeywords").checked;
+		const _filter_comment_keywords = document.getElementById("filterCommentKeywords").checked;
 		const _filter_subreddits = document.getElementById("filterSubreddits").checked;
 		const _filter_domains = document.getElementById("filterDomains").checked;
 		const _enable_sync = document.getElementById("enableSync").checked;
 
-		// Data object to save
-		const _data_to_save = {
-			hiddenUsers: _users_array,
-			hiddenKeywords: _keywords_array,
-			hiddenSubreddits: _subreddits_array,
-			hiddenDomains: _domains_array,
+		// Get display modes from select controls
+		const _display_mode_users = document.getElementById("displayModeUsers").value;
+		const _display_mode_keywords = document.getElementById("displayModeKeywords").value;
+		const _display_mode_subreddits = document.getElementById("displayModeSubreddits").value;
+		const _display_mode_domains = document.getElementById("displayModeDomains").value;
+
+		// Data object to save (lists from the text areas)
+		const _data_to_save = Object.assign(_lists_values_get(), {
 			loggingEnabled: _logging_enabled,
+			showInlineControls: document.getElementById("showInlineControls").checked,
 			filterUsers: _filter_users,
 			filterKeywords: _filter_keywords,
+			filterCommentKeywords: _filter_comment_keywords,
 			filterSubreddits: _filter_subreddits,
 			filterDomains: _filter_domains,
+			displayModeUsers: _display_mode_users,
+			displayModeKeywords: _display_mode_keywords,
+			displayModeSubreddits: _display_mode_subreddits,
+			displayModeDomains: _display_mode_domains,
+			threadMode: document.getElementById("threadMode").value,
 			enableSync: _enable_sync
-		};
+		});
+
+		// Add post filters
+		__post_filter_flags.forEach((_flag) => {
+			_data_to_save[_flag] = document.getElementById(_flag).checked;
+		});
+		_data_to_save.hiddenPostTypes = Array.from(document.querySelectorAll(".post-type-checkbox:checked")).map((_checkbox) => _checkbox.value);
+		_data_to_save.minScore = _number_get("minScore");
+		_data_to_save.minComments = _number_get("minComments");
+		_data_to_save.displayModeFlairs = document.getElementById("displayModeFlairs").value;
+		_data_to_save.displayModeAttributes = document.getElementById("displayModeAttributes").value;
 
 		// Save sync preference to local storage first
 		chrome.storage.local.set({ enableSync: _enable_sync });
 
-		// Save data using the appropriate storage area
-		const _storage_area = _storage_area_get();
-		_storage_area.set(_data_to_save);
+		// Switching storage areas merges the lists of both areas entry by entry; the base
+		// (the lists as loaded from the old area) still applies the popup's own edits
+		const _area_switched = __loaded_enable_sync !== null && _enable_sync !== __loaded_enable_sync;
+		const _change_data = _list_change_get(_history_change);
+		if (_area_switched) {
+			_change_data.merge_area = true;
+		}
+		__loaded_enable_sync = _enable_sync;
+		_lists_base_update(_data_to_save);
+
+		// Save data through the storage layer (sharded, quota-checked)
+		__storage.save(_data_to_save, function(_result) {
+			_save_result_handle(_result);
+			// Migrate data between storage areas only once it is safely written
+			if (_result.status === "ok" && _area_switched) {
+				_data_migrate(_enable_sync);
+			}
+		}, _change_data);
+	}
+
+	// Lists as typed in the text areas, by storage key (relative mute durations pinned to dates)
+	function _lists_values_get() {
+		const _list_ids = {
+			hiddenUsers: "userList",
+			hiddenKeywords: "keywordList",
+			hiddenSubreddits: "subredditList",
+			hiddenDomains: "domainList",
+			hiddenFlairs: "flairList",
+			protectedUsers: "protectedUserList"
+		};
+		__rules.categories.forEach((_category) => {
+			_list_ids[__storage.allow_keys[_category]] = __category_controls[_category].allow;
+		});
+
+		const _lists = {};
+		Object.keys(_list_ids).forEach((_key) => {
+			const _list_string = document.getElementById(_list_ids[_key]).value;
+			_lists[_key] = _list_string.split("\n").map(item => __rules.expiry_resolve(item.trim()));
+		});
+		return _lists;
+	}
 
-		// Migrate data if needed between storage areas
-		_data_migrate(_enable_sync, _data_to_save);
+	// Read a number input, or null when it is empty or invalid
+	function _number_get(_input_id) {
+		const _number = parseInt(document.getElementById(_input_id).value, 10);
+		return Number.isNaN(_number) ? null : _number;
 	}
 
 	// Migrate data between storage areas when switching
-	function _data_migrate(_enable_sync, _data_to_save) {
-		// Clear data from the other storage area to avoid conflicts
-		const _other_storage_area = _enable_sync ? chrome.storage.local : chrome.storage.sync;
-		const _keys_to_remove = [
-			"hiddenUsers", "hiddenKeywords", "hiddenSubreddits", "hiddenDomains",
-			"loggingEnabled", "expandImages", "filterUsers", "filterKeywords",
-			"filterSubreddits", "filterDomains", "blockUsers", "blockKeywords",
-			"blockSubreddits", "blockDomains"
-		];
-		_other_storage_area.remove(_keys_to_remove);
+	function _data_migrate(_enable_sync) {
+		// The local lists were merged into sync and can go; turning sync off leaves the
+		// synced lists in place for other devices
+		if (_enable_sync) {
+			__storage.area_clear(chrome.storage.local);
+		}
+		// Show the merged lists
+		_data_load();
+	}
+
+	// History change for a save, with the popup's current view of the lists as the base
+	function _list_change_get(_change) {
+		return Object.assign({}, _change, { base: Object.assign({}, __lists_base) });
+	}
+
+	// Remember the lists just saved as the base of the next save
+	function _lists_base_update(_data) {
+		__storage.list_keys.forEach((_key) => {
+			if (_key in _data) {
+				__lists_base[_key] = _data[_key];
+			}
+		});
+	}
+
+	// Refresh the sync status, the lists when another device changed them, and the
+	// profiles when the schedule switched them
+	function _storage_changes_handle(_changes, _area_name) {
+		// The tab's hidden item breakdown is updated by background.js as the page is filtered
+		const _counts_change = _changes[`filterCounts_${__tab_id}`];
+		if (_area_name === "session" && _counts_change) {
+			_filter_counts_render(_counts_change.newValue);
+		}
+		if (_area_name !== "local") {
+			return;
+		}
+
+		// Don't replace a list or profile field while it is being edited
+		const _editing = document.activeElement && document.activeElement.tagName === "TEXTAREA";
+		if (_changes.activeProfile) {
+			_profiles_load(_editing || (document.activeElement && document.activeElement.type === "text"));
+		}
+		if (!_changes.syncStatus) {
+			return;
+		}
+		_sync_status_render();
+
+		const _status = _changes.syncStatus.newValue;
+		if (_status && _status.received > 0 && !_editing) {
+			_data_load();
+		}
+	}
+
+	// Show the outcome of the last merge with other devices
+	function _sync_status_render() {
+		const _status_element = document.getElementById("syncStatus");
+		if (!document.getElementById("enableSync").checked) {
+			_status_element.textContent = "Sync is off, lists are kept on this device only";
+			_status_element.classList.remove("error");
+			return;
+		}
+
+		__storage.sync_status_get(function(_status) {
+			_status_element.classList.toggle("error", Boolean(_status && _status.state === "error"));
+			if (!_status || _status.state === "off") {
+				_status_element.textContent = "Sync: waiting for the first merge";
+				return;
+			}
+			if (_status.state === "error") {
+				_status_element.textContent = `Sync problem: ${_status.message}`;
+				return;
+			}
+
+			let _text = `Sync: up to date (checked ${_time_ago_format(_status.time)})`;
+			const _last_change = _status.last_change;
+			if (_last_change) {
+				const _parts = [];
+				if (_last_change.received > 0) {
+					_parts.push(`${_last_change.received} change${_last_change.received === 1 ? "" : "s"} from other devices`);
+				}
+				if (_last_change.restored > 0) {
+					_parts.push(`${_last_change.restored} lost change${_last_change.restored === 1 ? "" : "s"} restored`);
+				}
+				_text += ` · last merge ${_time_ago_format(_last_change.time)}: ${_parts.join(", ")}`;
+			}
+			_status_element.textContent = _text;
+		});
+	}
+
+	// Report the outcome of a save and refresh the quota display
+	function _save_result_handle(_result) {
+		const _warning_element = document.getElementById("storageWarning");
+
+		if (_result.status === "fallback") {
+			// Sync was turned off by the storage layer to keep the data
+			document.getElementById("enableSync").checked = false;
+			_warning_element.textContent = _result.message;
+		} else if (_result.status === "error") {
+			_warning_element.textContent = `Filters could not be saved: ${_result.message}`;
+		} else if (_warning_element.textContent.startsWith("Filters could not be saved")) {
+			_warning_element.textContent = "";
+		}
+
+		_usage_render();
+	}
+
+	// Show how much of the active storage area's quota is used
+	function _usage_render() {
+		__storage.usage(function(_usage) {
+			const _used_kb = (_usage.bytes / 1024).toFixed(1);
+			const _quota_kb = Math.round(_usage.quota / 1024);
+			const _area_name = _usage.area === "sync" ? "Sync" : "Local";
+			document.getElementById("storageUsage").textContent =
+				`${_area_name} storage: ${_used_kb} KB of ${_quota_kb} KB used`;
+		});
 	}
 
 	// Load saved data from storage
-	function _data_load() {
-		// First get sync preference from local storage
-		chrome.storage.local.get(["enableSync"], function(_local_result) {
-			const _enable_sync = _local_result.enableSync !== undefined ? _local_result.enableSync : true;
+	function _data_load(_on_loaded) {
+		// The storage layer resolves the sync preference and reassembles sharded lists
+		__storage.load(__storage_keys, function(_result, _enable_sync) {
 			document.getElementById("enableSync").checked = _enable_sync;
+			__loaded_enable_sync = _enable_sync;
+			__lists_base = {};
+			_lists_base_update(_result);
+			_usage_render();
+			_sync_status_render();
 
-			// Determine which storage area to use
-			const _storage_area = _enable_sync ? chrome.storage.sync : chrome.storage.local;
+			// Populate user filter list
+			if (_result.hiddenUsers) {
+				document.getElementById("userList").value = _result.hiddenUsers.join("\n");
+			}
 
-			// Load the saved data
-			_storage_area.get(__storage_keys, function(_result) {
-				// Populate user filter list
-				if (_result.hiddenUsers) {
-					document.getElementById("userList").value = _result.hiddenUsers.join("\n");
-				}
+			// Populate keyword filter list
+			if (_result.hiddenKeywords) {
+				document.getElementById("keywordList").value = _result.hiddenKeywords.join("\n");
+			}
 
-				// Populate keyword filter list
-				if (_result.hiddenKeywords) {
-					document.getElementById("keywordList").value = _result.hiddenKeywords.join("\n");
-				}
+			// Populate subreddit filter list
+			if (_result.hiddenSubreddits) {
+				document.getElementById("subredditList").value = _result.hiddenSubreddits.join("\n");
+			}
 
-				// Populate subreddit filter list
-				if (_result.hiddenSubreddits) {
-					document.getElementById("subredditList").value = _result.hiddenSubreddits.join("\n");
-				}
+			// Populate domain filter list
+			if (_result.hiddenDomains) {
+				document.getElementById("domainList").value = _result.hiddenDomains.join("\n");
+			}
 
-				// Populate domain filter list
-				if (_result.hiddenDomains) {
-					document.getElementById("domainList").value = _result.hiddenDomains.join("\n");
+			// Populate allowlists
+			__rules.categories.forEach((_category) => {
+				const _allowed = _result[__storage.allow_keys[_category]];
+				if (_allowed) {
+					document.getElementById(__category_controls[_category].allow).value = _allowed.join("\n");
 				}
+			});
 
-				// Load preference checkboxes
-				if (_result.loggingEnabled !== undefined) {
-					document.getElementById("loggingEnabled").checked = _result.loggingEnabled;
-				}
-				if (_result.filterUsers !== undefined) {
-					document.getElementById("filterUsers").checked = _result.filterUsers;
+			// Populate protected users
+			if (_result.protectedUsers) {
+				document.getElementById("protectedUserList").value = _result.protectedUsers.join("\n");
+			}
+			_cleanup_undo_render();
+
+			// Populate post filters
+			if (_result.hiddenFlairs) {
+				document.getElementById("flairList").value = _result.hiddenFlairs.join("\n");
+			}
+			__post_filter_flags.forEach((_flag) => {
+				if (_result[_flag] !== undefined) {
+					document.getElementById(_flag).checked = _result[_flag];
 				}
-				if (_result.filterKeywords !== undefined) {
-					document.getElementById("filterKeywords").checked = _result.filterKeywords;
+			});
+			if (_result.hiddenPostTypes) {
+				document.querySelectorAll(".post-type-checkbox").forEach((_checkbox) => {
+					_checkbox.checked = _result.hiddenPostTypes.includes(_checkbox.value);
+				});
+			}
+			if (typeof _result.minScore === "number") {
+				document.getElementById("minScore").value = _result.minScore;
+			}
+			if (typeof _result.minComments === "number") {
+				document.getElementById("minComments").value = _result.minComments;
+			}
+			if (_result.displayModeFlairs) {
+				document.getElementById("displayModeFlairs").value = _result.displayModeFlairs;
+			}
+			if (_result.displayModeAttributes) {
+				document.getElementById("displayModeAttributes").value = _result.displayModeAttributes;
+			}
+
+			// Validate loaded lists
+			_lists_validate();
+
+			// Load preference checkboxes
+			if (_result.loggingEnabled !== undefined) {
+				document.getElementById("loggingEnabled").checked = _result.loggingEnabled;
+			}
+			if (_result.showInlineControls !== undefined) {
+				document.getElementById("showInlineControls").checked = _result.showInlineControls;
+			}
+			if (_result.filterUsers !== undefined) {
+				document.getElementById("filterUsers").checked = _result.filterUsers;
+			}
+			if (_result.filterKeywords !== undefined) {
+				document.getElementById("filterKeywords").checked = _result.filterKeywords;
+			}
+			if (_result.filterCommentKeywords !== undefined) {
+				document.getElementById("filterCommentKeywords").checked = _result.filterCommentKeywords;
+			}
+			if (_result.filterSubreddits !== undefined) {
+				document.getElementById("filterSubreddits").checked = _result.filterSubreddits;
+			}
+			if (_result.filterDomains !== undefined) {
+				document.getElementById("filterDomains").checked = _result.filterDomains;
+			}
+
+			// Load display mode selects
+			if (_result.displayModeUsers) {
+				document.getElementById("displayModeUsers").value = _result.displayModeUsers;
+			}
+			if (_result.threadMode) {
+				document.getElementById("threadMode").value = _result.threadMode;
+			}
+			if (_result.displayModeKeywords) {
+				document.getElementById("displayModeKeywords").value = _result.displayModeKeywords;
+			}
+			if (_result.displayModeSubreddits) {
+				document.getElementById("displayModeSubreddits").value = _result.displayModeSubreddits;
+			}
+			if (_result.displayModeDomains) {
+				document.getElementById("displayModeDomains").value = _result.displayModeDomains;
+			}
+
+			if (_on_loaded) {
+				_on_loaded();
+			}
+		});
+	}
+
+	// Read the non-empty lines of a list textarea
+	function _list_lines_get(_list_id) {
+		return document.getElementById(_list_id).value.split("\n").map(item => item.trim()).filter(item => item !== "");
+	}
+
+	// Download all lists and preference flags as a versioned JSON file
+	function _lists_export() {
+		const _lists = {};
+		__rules.categories.forEach((_category) => {
+			_lists[_category] = _list_lines_get(__category_controls[_category].list);
+		});
+		const _preferences = {};
+		__export_flags.forEach((_flag) => {
+			_preferences[_flag] = document.getElementById(_flag).checked;
+		});
+
+		const _blob = new Blob([__rules.list_file_build(_lists, _preferences)], { type: "application/json" });
+		const _link = document.createElement("a");
+		_link.href = URL.createObjectURL(_blob);
+		_link.download = `reddit-shield-filters-${new Date().toISOString().slice(0, 10)}.json`;
+		_link.click();
+		URL.revokeObjectURL(_link.href);
+	}
+
+	// Import lists from the import textarea, merging with or replacing the current lists
+	function _lists_import() {
+		const _status_element = document.getElementById("importStatus");
+		const _default_category = document.getElementById("importCategory").value;
+		const _replace = document.getElementById("importMode").value === "replace";
+		const _parsed = __rules.list_file_parse(document.getElementById("importText").value, _default_category);
+
+		if (_parsed.error) {
+			_status_element.textContent = _parsed.error;
+			return;
+		}
+
+		// Replace or merge each imported list (merge skips entries already present)
+		const _summary = [];
+		Object.keys(_parsed.lists).forEach((_category) => {
+			const _list_element = document.getElementById(__category_controls[_category].list);
+			const _current = _replace ? [] : _list_lines_get(__category_controls[_category].list);
+			const _added = _parsed.lists[_category].filter((_line) => !_current.includes(_line));
+			_list_element.value = [..._current, ...new Set(_added)].join("\n");
+			_summary.push(`${new Set(_added).size} ${_category}`);
+		});
+
+		// Apply imported preference flags
+		Object.keys(_parsed.preferences).forEach((_flag) => {
+			const _checkbox = document.getElementById(_flag);
+			if (_checkbox) {
+				_checkbox.checked = _parsed.preferences[_flag];
+			}
+		});
+
+		_lists_validate();
+		_data_save({ label: `Import (${_replace ? "replace" : "merge"})`, bulk: true });
+		_status_element.textContent = _summary.length > 0
+			? `Imported ${_summary.join(", ")}`
+			: "Nothing to import";
+	}
+
+	// Load the active tab's hidden item counts per category from session storage
+	function _filter_counts_load() {
+		const _key = `filterCounts_${__tab_id}`;
+		chrome.storage.session.get([_key], function(_result) {
+			_filter_counts_render(_result[_key]);
+		});
+	}
+
+	// Show the hidden item counts next to each section header (post filters add up flairs
+	// and post attributes; users also show hidden replies to filtered users)
+	function _filter_counts_render(_counts) {
+		const _categories = (_counts && _counts.categories) || {};
+		document.querySelectorAll(".section-count").forEach((_element) => {
+			const _count = _element.getAttribute("data-count-category").split(" ")
+				.reduce((_sum, _category) => _sum + (_categories[_category] || 0), 0);
+			const _replies = _element.getAttribute("data-count-category") === "users" && _counts ? _counts.replies || 0 : 0;
+			const _parts = [];
+			if (_count > 0) {
+				_parts.push(`${_count} hidden`);
+			}
+			if (_replies > 0) {
+				_parts.push(`${_replies} repl${_replies === 1 ? "y" : "ies"}`);
+			}
+			_element.textContent = _parts.length > 0 ? `(${_parts.join(", ")})` : "";
+			_element.title = _parts.length > 0 ? "Hidden on this page" : "";
+		});
+	}
+
+	// Load the active tab's filter log from session storage and render it
+	function _filter_log_load(_tab_id) {
+		chrome.storage.session.get([`filterLog_${_tab_id}`], function(_result) {
+			_filter_log_render(_tab_id, _result[`filterLog_${_tab_id}`] || []);
+		});
+	}
+
+	// Render filter log events with "unhide this item" and "remove this rule" actions
+	// (spared events show the allowlist entry that won and a "remove exception" action)
+	function _filter_log_render(_tab_id, _events) {
+		const _container = document.getElementById("filterLog");
+		_container.textContent = "";
+		document.getElementById("filterLogCount").textContent = `(${_events.length})`;
+
+		_events.slice().reverse().forEach((_event) => {
+			const _item = document.createElement("div");
+			_item.className = "filter-log-item";
+
+			const _category = document.createElement("span");
+			_category.className = "filter-log-category";
+			_category.textContent = _event.category;
+			// Replies hidden because they answer a filtered user are marked as such
+			if (_event.reply) {
+				_category.classList.add("reply");
+				_category.textContent = "reply";
+			}
+			if (_event.allowed) {
+				_category.classList.add("spared");
+				_category.textContent = "spared";
+			}
+
+			// Title or author, linked to the permalink, followed by the matched rule
+			const _text = document.createElement("span");
+			_text.className = "filter-log-text";
+			const _label = document.createElement(_event.permalink ? "a" : "span");
+			_label.textContent = _event.label || "(untitled)";
+			if (_event.permalink) {
+				_label.href = _event.permalink;
+				_label.target = "_blank";
+			}
+			const _rule = document.createElement("span");
+			_rule.className = "filter-log-rule";
+			_rule.textContent = ` ← ${_event.rule}`;
+			_text.append(_label, _rule);
+			_text.title = `${_event.label} (rule: ${_event.rule})`;
+
+			// Spared items say which allowlist entry won and offer to remove that entry
+			if (_event.allowed) {
+				const _allowed_text = `allowed by ${_event.allowed.rule} (${_event.allowed.category} allowlist)`;
+				const _allowed = document.createElement("span");
+				_allowed.className = "filter-log-rule";
+				_allowed.textContent = ` ✓ ${_allowed_text}`;
+				_text.appendChild(_allowed);
+				_text.title = `${_event.label} (rule: ${_event.rule}, ${_allowed_text})`;
+
+				const _allow_list_id = __category_controls[_event.allowed.category].allow;
+				const _exception_button = _rule_remove_button_create(_allow_list_id, _event.allowed.rule, "Remove exception");
+				_item.append(_category, _text, _exception_button);
+				_container.appendChild(_item);
+				return;
+			}
+
+			const _unhide_button = document.createElement("button");
+			_unhide_button.className = "cleanup-button-small";
+			_unhide_button.textContent = "Unhide";
+			_unhide_button.addEventListener("click", function() {
+				chrome.tabs.sendMessage(_tab_id, { action: "unhideItem", id: _event.id }, function(_response) {
+					_unhide_button.disabled = true;
+					_unhide_button.textContent = _response && _response.status == 200 ? "Shown" : "Gone";
+				});
+			});
+
+			// Post attribute matches (NSFW, post type, thresholds) have no list to remove from
+			_item.append(_category, _text, _unhide_button);
+			if (__category_controls[_event.category]) {
+				const _list_id = __category_controls[_event.category].list;
+				_item.appendChild(_rule_remove_button_create(_list_id, _event.rule, "Remove rule"));
+			}
+			_container.appendChild(_item);
+		});
+	}
+
+	// Create a button that removes a rule line from a list textarea
+	function _rule_remove_button_create(_list_id, _rule, _caption) {
+		const _remove_button = document.createElement("button");
+		_remove_button.className = "cleanup-button-small";
+		_remove_button.textContent = _caption;
+		// Rules from subscriptions are not in the personal lists and cannot be removed here
+		if (!_list_lines_get(_list_id).includes(_rule)) {
+			_remove_button.disabled = true;
+			_remove_button.title = "Rule is not in your lists (removed already or from a subscription)";
+		}
+		_remove_button.addEventListener("click", function() {
+			_rule_remove(_list_id, _rule);
+			_remove_button.disabled = true;
+			_remove_button.textContent = "Removed";
+		});
+		return _remove_button;
+	}
+
+	// Remove a rule line from a list textarea and save
+	function _rule_remove(_list_id, _rule) {
+		const _remaining = _list_lines_get(_list_id).filter((_line) => _line !== _rule);
+		document.getElementById(_list_id).value = _remaining.join("\n");
+		_lists_validate();
+		_data_save();
+	}
+
+	// Days without hits after which a rule counts as stale
+	function _stale_days_get() {
+		return Math.max(1, parseInt(document.getElementById("ruleStatsDays").value, 10) || 30);
+	}
+
+	// Check whether a rule had no hits within the given number of days
+	function _rule_stale_is(_stat, _days) {
+		// Rules without statistics yet have just been added and are never stale
+		if (!_stat) {
+			return false;
+		}
+		const _last_activity = Math.max(_stat.lastHit || 0, _stat.since || 0);
+		return Date.now() - _last_activity > _days * 86400000;
+	}
+
+	// Format a timestamp as a short "time ago" text
+	function _time_ago_format(_time) {
+		if (!_time) {
+			return "never";
+		}
+		const _minutes = Math.floor((Date.now() - _time) / 60000);
+		if (_minutes < 60) {
+			return `${_minutes}m ago`;
+		}
+		if (_minutes < 1440) {
+			return `${Math.floor(_minutes / 60)}h ago`;
+		}
+		return `${Math.floor(_minutes / 1440)}d ago`;
+	}
+
+	// Load hit statistics for the selected category's rules and render them sorted
+	function _rule_stats_load() {
+		const _category = document.getElementById("ruleStatsCategory").value;
+		const _sort = document.getElementById("ruleStatsSort").value;
+		const _days = _stale_days_get();
+
+		chrome.storage.local.get(["ruleStats"], function(_result) {
+			const _stats = _result.ruleStats || {};
+			const _rows = _list_lines_get(__category_controls[_category].list).map((_rule) => {
+				const _stat = _stats[`${_category}:${_rule}`];
+				return { rule: _rule, stat: _stat, hits: _stat ? _stat.hits : 0, last: _stat ? _stat.lastHit : 0 };
+			});
+
+			// Sort by the chosen column
+			const _sorters = {
+				hits: (_a, _b) => _b.hits - _a.hits,
+				fewest: (_a, _b) => _a.hits - _b.hits,
+				recent: (_a, _b) => _b.last - _a.last,
+				name: (_a, _b) => _a.rule.localeCompare(_b.rule)
+			};
+			_rows.sort(_sorters[_sort]);
+
+			const _container = document.getElementById("ruleStatsList");
+			_container.textContent = "";
+			_rows.forEach((_row) => {
+				const _line = document.createElement("div");
+				_line.className = "rule-stats-row";
+				_line.classList.toggle("stale", _rule_stale_is(_row.stat, _days));
+				const _rule = document.createElement("span");
+				_rule.className = "rule-stats-rule";
+				_rule.textContent = _row.rule;
+				const _hits = document.createElement("span");
+				_hits.className = "rule-stats-hits";
+				_hits.textContent = `${_row.hits} hits`;
+				const _last = document.createElement("span");
+				_last.className = "rule-stats-last";
+				_last.textContent = _time_ago_format(_row.last);
+				_line.append(_rule, _hits, _last);
+				_container.appendChild(_line);
+			});
+		});
+	}
+
+	// Remove every rule, in all lists, that had no hits in the chosen number of days.
+	// The first click only counts them; a second click confirms the removal.
+	function _rule_stats_stale_remove() {
+		const _days = _stale_days_get();
+		const _button = document.getElementById("ruleStatsStaleButton");
+		const _status_element = document.getElementById("ruleStatsStatus");
+
+		chrome.storage.local.get(["ruleStats"], function(_result) {
+			const _stats = _result.ruleStats || {};
+			const _kept_lists = {};
+			let _stale_count = 0;
+
+			Object.keys(__storage.category_keys).forEach((_category) => {
+				const _lines = _list_lines_get(__category_controls[_category].list);
+				_kept_lists[_category] = _lines.filter((_rule) => !_rule_stale_is(_stats[`${_category}:${_rule}`], _days));
+				_stale_count += _lines.length - _kept_lists[_category].length;
+			});
+
+			if (_stale_count === 0) {
+				_status_element.textContent = `Every rule had a hit in the last ${_days} days`;
+				return;
+			}
+
+			if (__stale_confirm_days !== _days) {
+				__stale_confirm_days = _days;
+				_button.textContent = `Remove ${_stale_count} rules`;
+				_status_element.textContent = `${_stale_count} rules had no hits in ${_days} days. Click again to remove them.`;
+				return;
+			}
+
+			Object.keys(_kept_lists).forEach((_category) => {
+				document.getElementById(__category_controls[_category].list).value = _kept_lists[_category].join("\n");
+			});
+			_rule_stats_confirm_reset();
+			_lists_validate();
+			_data_save({ label: `Removed ${_stale_count} stale rules`, bulk: true });
+			_status_element.textContent = `Removed ${_stale_count} rules with no hits in ${_days} days`;
+			_rule_stats_load();
+		});
+	}
+
+	// Disarm the stale rule removal button
+	function _rule_stats_confirm_reset() {
+		__stale_confirm_days = null;
+		document.getElementById("ruleStatsStaleButton").textContent = "Remove stale rules";
+	}
+
+	// Readable name of a stored list ("users", "allowed keywords", ...)
+	function _list_key_name(_list_key) {
+		const _names = { protectedUsers: "protected users" };
+		Object.keys(__storage.category_keys).forEach((_category) => {
+			_names[__storage.category_keys[_category]] = _category;
+		});
+		Object.keys(__storage.allow_keys).forEach((_category) => {
+			_names[__storage.allow_keys[_category]] = `allowed ${_category}`;
+		});
+		return _names[_list_key] || _list_key;
+	}
+
+	// Load the list history and render it, newest first
+	function _history_load() {
+		__storage.history_get(function(_history) {
+			const _container = document.getElementById("historyList");
+			_container.textContent = "";
+
+			if (_history.length === 0) {
+				document.getElementById("historyStatus").textContent = "No changes recorded yet";
+				return;
+			}
+
+			_history.slice().reverse().forEach((_snapshot) => {
+				const _item = document.createElement("details");
+				_item.className = "history-item";
+				_item.classList.toggle("undone", _snapshot.undone);
+
+				// Summary line: time, label, counts per list and the restore button
+				const _summary = document.createElement("summary");
+				const _time = document.createElement("span");
+				_time.className = "history-time";
+				_time.textContent = _time_ago_format(_snapshot.updated);
+				_time.title = new Date(_snapshot.time).toLocaleString();
+				const _label = document.createElement("span");
+				_label.className = "history-label";
+				_label.textContent = (_snapshot.label || "List edits") + (_snapshot.undone ? " (undone)" : "");
+				const _counts = document.createElement("span");
+				_counts.className = "history-counts";
+				_counts.textContent = Object.keys(_snapshot.diff).map((_list_key) => {
+					const _diff = _snapshot.diff[_list_key];
+					const _parts = [];
+					if (_diff.added.length > 0) {
+						_parts.push(`+${_diff.added.length}`);
+					}
+					if (_diff.removed.length > 0) {
+						_parts.push(`−${_diff.removed.length}`);
+					}
+					return `${_parts.join(" ")} ${_list_key_name(_list_key)}`;
+				}).join(", ");
+
+				const _restore_button = document.createElement("button");
+				_restore_button.className = "cleanup-button-small";
+				_restore_button.textContent = "Restore";
+				_restore_button.title = "Put every list back the way it was before this change";
+				_restore_button.addEventListener("click", function(_event) {
+					_event.preventDefault();
+					_history_restore(_snapshot.id);
+				});
+				_summary.append(_time, _label, _counts, _restore_button);
+				_item.appendChild(_summary);
+
+				// Diff lines, one per added or removed entry
+				Object.keys(_snapshot.diff).forEach((_list_key) => {
+					const _diff = _snapshot.diff[_list_key];
+					const _lines = [
+						..._diff.added.map((_entry) => ({ text: `+ ${_entry}`, type: "added" })),
+						..._diff.removed.map((_entry) => ({ text: `− ${_entry}`, type: "removed" }))
+					];
+					const _title = document.createElement("div");
+					_title.className = "history-list-name";
+					_title.textContent = _list_key_name(_list_key);
+					_item.appendChild(_title);
+					_lines.forEach((_line) => {
+						const _line_element = document.createElement("div");
+						_line_element.className = `history-diff ${_line.type}`;
+						_line_element.textContent = _line.text;
+						_item.appendChild(_line_element);
+					});
+				});
+
+				_container.appendChild(_item);
+			});
+		});
+	}
+
+	// Restore all lists to before a snapshot and reload them
+	function _history_restore(_id) {
+		const _status_element = document.getElementById("historyStatus");
+		__storage.history_restore(_id, function(_result) {
+			_save_result_handle(_result);
+			_status_element.textContent = _result.status === "error"
+				? `Could not restore: ${_result.message}`
+				: "Lists restored. Use \"Undo last bulk change\" to go back.";
+			_data_load();
+			_history_load();
+		});
+	}
+
+	// Revert the last bulk change (cleanup, import, stale rule removal, restore) and reload the lists
+	function _history_undo() {
+		const _status_element = document.getElementById("historyStatus");
+		__storage.history_undo(function(_result) {
+			if (_result.status === "empty") {
+				_status_element.textContent = _result.message;
+				return;
+			}
+			_save_result_handle(_result);
+			_status_element.textContent = _result.status === "error"
+				? `Could not undo: ${_result.message}`
+				: `Undid "${_result.label}"`;
+			_data_load();
+			_history_load();
+		});
+	}
+
+	// Load subscriptions from local storage and render them
+	function _subscriptions_load() {
+		chrome.storage.local.get(["subscriptions"], function(_result) {
+			_subscriptions_render(_result.subscriptions || []);
+		});
+	}
+
+	// Render one row per subscription with its entry counts, last update and overrides
+	function _subscriptions_render(_subscriptions) {
+		const _container = document.getElementById("subscriptionList");
+		_container.textContent = "";
+
+		_subscriptions.forEach((_subscription) => {
+			const _item = document.createElement("div");
+			_item.className = "subscription-item";
+
+			// Header: enable toggle, URL and remove button
+			const _header = document.createElement("div");
+			_header.className = "subscription-header";
+			const _label = document.createElement("label");
+			const _enabled = document.createElement("input");
+			_enabled.type = "checkbox";
+			_enabled.checked = _subscription.enabled;
+			_enabled.addEventListener("change", function() {
+				_subscription_update(_subscription.id, { enabled: _enabled.checked });
+			});
+			const _url = document.createElement("span");
+			_url.textContent = _subscription.url;
+			_label.append(_enabled, _url);
+			const _remove = document.createElement("button");
+			_remove.className = "subscription-remove";
+			_remove.title = "Unsubscribe";
+			_remove.textContent = "×";
+			_remove.addEventListener("click", function() {
+				_subscription_remove(_subscription.id);
+			});
+			_header.append(_label, _remove);
+
+			// Meta line: entry counts and last update time, or the last error
+			const _meta = document.createElement("div");
+			_meta.className = "subscription-meta";
+			const _counts = _subscription.counts || {};
+			const _count_text = __rules.categories.map((_category) => `${_counts[_category] || 0} ${_category}`).join(" · ");
+			const _updated_text = _subscription.updated
+				? `updated ${new Date(_subscription.updated).toLocaleString()}`
+				: "not fetched yet";
+			_meta.textContent = `${_count_text} — ${_updated_text}`;
+			if (_subscription.error) {
+				_meta.classList.add("error");
+				_meta.textContent += ` — last refresh failed: ${_subscription.error}`;
+			}
+
+			// Overrides: entries from this list that should not be filtered
+			const _overrides = document.createElement("textarea");
+			_overrides.className = "inputList subscription-overrides";
+			_overrides.placeholder = "Entries from this list to ignore, one per line";
+			_overrides.value = (_subscription.overrides || []).join("\n");
+			_overrides.addEventListener("input", function() {
+				const _lines = _overrides.value.split("\n").map(item => item.trim()).filter(item => item !== "");
+				_draft_store({ updates: { subscriptions: { [_subscription.id]: { overrides: _lines } } } });
+			});
+			_overrides.addEventListener("change", _draft_flush);
+
+			_item.append(_header, _meta, _overrides);
+			_container.appendChild(_item);
+		});
+	}
+
+	// Apply changes to one subscription (typed overrides are saved through the draft instead)
+	function _subscription_update(_id, _changes) {
+		chrome.storage.local.get(["subscriptions"], function(_result) {
+			const _subscriptions = (_result.subscriptions || []).map((_subscription) =>
+				_subscription.id === _id ? Object.assign({}, _subscription, _changes) : _subscription
+			);
+			chrome.storage.local.set({ subscriptions: _subscriptions }, function() {
+				_subscriptions_render(_subscriptions);
+			});
+		});
+	}
+
+	// Subscribe to a new list URL, asking for host access first for remote lists
+	function _subscription_add() {
+		const _url_input = document.getElementById("subscriptionUrl");
+		const _status_element = document.getElementById("subscriptionStatus");
+		const _url = _url_input.value.trim();
+		if (_url === "") {
+			return;
+		}
+
+		const _subscription = {
+			id: Date.now().toString(36),
+			url: _url,
+			enabled: true,
+			overrides: [],
+			counts: null,
+			updated: null,
+			error: null
+		};
+
+		const _store = function() {
+			chrome.storage.local.get(["subscriptions"], function(_result) {
+				const _subscriptions = [...(_result.subscriptions || []), _subscription];
+				chrome.storage.local.set({ subscriptions: _subscriptions }, function() {
+					_url_input.value = "";
+					_subscriptions_render(_subscriptions);
+					_subscriptions_refresh_request(_subscription.id);
+				});
+			});
+		};
+
+		// Remote lists need optional host permission for the background worker to fetch them
+		if (/^https?:\/\//i.test(_url)) {
+			let _origin = "";
+			try {
+				_origin = new URL(_url).origin;
+			} catch (_err) {
+				_status_element.textContent = "Invalid URL";
+				return;
+			}
+			chrome.permissions.request({ origins: [`${_origin}/*`] }, function(_granted) {
+				if (!_granted) {
+					_status_element.textContent = `Access to ${_origin} is needed to download this list`;
+					return;
 				}
-				if (_result.filterSubreddits !== undefined) {
-					document.getElementById("filterSubreddits").checked = _result.filterSubreddits;
+				_store();
+			});
+		} else {
+			_store();
+		}
+	}
+
+	// Unsubscribe from a list and drop its downloaded entries
+	function _subscription_remove(_id) {
+		chrome.storage.local.get(["subscriptions"], function(_result) {
+			const _subscriptions = (_result.subscriptions || []).filter((_subscription) => _subscription.id !== _id);
+			chrome.storage.local.set({ subscriptions: _subscriptions });
+			chrome.storage.local.remove(`subscriptionLists_${_id}`);
+			_subscriptions_render(_subscriptions);
+		});
+	}
+
+	// Ask the background worker to refresh one subscription (or all when id is null)
+	function _subscriptions_refresh_request(_id) {
+		const _status_element = document.getElementById("subscriptionStatus");
+		_status_element.textContent = "Refreshing...";
+
+		chrome.runtime.sendMessage({ action: "refreshSubscriptions", id: _id }, function(_response) {
+			if (!_response || _response.status != 200) {
+				_status_element.textContent = "Refresh failed";
+				return;
+			}
+			_status_element.textContent = "";
+			_subscriptions_render(_response.message);
+		});
+	}
+
+	// Load profiles from local storage and render them (only the switcher while one is being edited)
+	function _profiles_load(_switcher_only) {
+		chrome.storage.local.get(["profiles", "activeProfile"], function(_result) {
+			const _profiles = _result.profiles || [];
+			const _active = _result.activeProfile || { id: "", by: "manual", time: null };
+			_profile_switcher_render(_profiles, _active);
+			if (!_switcher_only) {
+				_profiles_render(_profiles, _active.id);
+			}
+		});
+	}
+
+	// Fill the profile select and say how the active profile was chosen
+	function _profile_switcher_render(_profiles, _active) {
+		const _select = document.getElementById("activeProfile");
+		_select.textContent = "";
+		[{ id: "", name: "Default" }, ..._profiles].forEach((_profile) => {
+			const _option = document.createElement("option");
+			_option.value = _profile.id;
+			_option.textContent = _profile.name;
+			_select.appendChild(_option);
+		});
+		const _active_profile = _profiles.find((_profile) => _profile.id === _active.id);
+		_select.value = _active_profile ? _active_profile.id : "";
+
+		const _status_element = document.getElementById("profileStatus");
+		if (!_active_profile) {
+			_status_element.textContent = "Using the default settings";
+			return;
+		}
+		const _how = _active.by === "schedule" ? "by schedule" : "by hand";
+		const _when = _active.time ? ` at ${new Date(_active.time).toLocaleString()}` : "";
+		_status_element.textContent = `Using "${_active_profile.name}", switched ${_how}${_when}`;
+	}
+
+	// Render one row per profile: name, categories, extra entries and schedule
+	function _profiles_render(_profiles, _active_id) {
+		const _container = document.getElementById("profileList");
+		_container.textContent = "";
+
+		_profiles.forEach((_profile) => {
+			const _item = document.createElement("div");
+			_item.className = "profile-item";
+			_item.classList.toggle("active", _profile.id === _active_id);
+
+			// Header: name, "Use now" and remove button
+			const _header = document.createElement("div");
+			_header.className = "profile-header";
+			const _name = document.createElement("input");
+			_name.type = "text";
+			_name.className = "tools-input";
+			_name.value = _profile.name;
+			_name.addEventListener("change", function() {
+				if (_name.value.trim() !== "") {
+					_profile_update(_profile.id, { name: _name.value.trim() });
 				}
-				if (_result.filterDomains !== undefined) {
-					document.getElementById("filterDomains").checked = _result.filterDomains;
+			});
+			const _use = document.createElement("button");
+			_use.className = "cleanup-button-small";
+			_use.textContent = _profile.id === _active_id ? "Active" : "Use now";
+			_use.disabled = _profile.id === _active_id;
+			_use.addEventListener("click", function() {
+				_profile_activate(_profile.id);
+			});
+			const _remove = document.createElement("button");
+			_remove.className = "profile-remove";
+			_remove.title = "Delete profile";
+			_remove.textContent = "×";
+			_remove.addEventListener("click", function() {
+				_profile_remove(_profile.id);
+			});
+			_header.append(_name, _use, _remove);
+
+			// Categories filtered while the profile is active
+			const _categories = document.createElement("div");
+			_categories.className = "profile-categories";
+			__rules.categories.forEach((_category) => {
+				const _label = document.createElement("label");
+				const _checkbox = document.createElement("input");
+				_checkbox.type = "checkbox";
+				_checkbox.checked = Boolean(_profile.categories && _profile.categories[_category]);
+				_checkbox.addEventListener("change", function() {
+					const _profile_categories = Object.assign({}, _profile.categories, { [_category]: _checkbox.checked });
+					_profile.categories = _profile_categories;
+					_profile_update(_profile.id, { categories: _profile_categories }, true);
+				});
+				_label.append(_checkbox, document.createTextNode(_category));
+				_categories.appendChild(_label);
+			});
+
+			// Extra entries in the plain-text list format, and the weekly schedule
+			const _errors = document.createElement("div");
+			_errors.className = "validation-errors";
+			const _lists = document.createElement("textarea");
+			_lists.className = "inputList profile-lists";
+			_lists.placeholder = "Extra entries while this profile is active, one per line\n[subreddits] / [domains] / [keywords] / [users] headers; u/ and r/ lines are sorted automatically";
+			_lists.value = _profile_lists_text(_profile.lists || {});
+			const _schedule = document.createElement("textarea");
+			_schedule.className = "inputList profile-schedule";
+			_schedule.placeholder = "Schedule, one range per line, e.g. Mon-Fri 09:00-17:00";
+			_schedule.value = (_profile.schedule || []).join("\n");
+
+			const _validate = function() {
+				_profile_errors_render(_errors, _lists, _schedule);
+			};
+			// Typed entries and schedules are saved through the draft, like the filter lists
+			_lists.addEventListener("input", function() {
+				_validate();
+				_draft_store({ updates: { profiles: { [_profile.id]: { lists: _profile_lists_parse(_lists.value) } } } });
+			});
+			// Show relative mute durations pinned to the dates they were saved with, like the filter lists
+			_lists.addEventListener("change", function() {
+				const _parsed = _profile_lists_parse(_lists.value);
+				if (_profile_lists_text(_parsed) !== _profile_lists_text(__rules.list_file_parse(_lists.value, "keywords").lists)) {
+					_lists.value = _profile_lists_text(_parsed);
+					_draft_store({ updates: { profiles: { [_profile.id]: { lists: _parsed } } } });
+					_validate();
 				}
+				_draft_flush();
+			});
+			_schedule.addEventListener("input", function() {
+				_validate();
+				const _lines = _schedule.value.split("\n").map(item => item.trim()).filter(item => item !== "");
+				_draft_store({ updates: { profiles: { [_profile.id]: { schedule: _lines } } } });
+			});
+			_schedule.addEventListener("change", _draft_flush);
+			_validate();
+
+			_item.append(_header, _categories, _lists, _schedule, _errors);
+			_container.appendChild(_item);
+		});
+	}
+
+	// Parse a profile's plain-text lists, pinning relative mute durations ("~7d") to absolute
+	// dates as the filter lists do when saved (raw durations would restart on every page load)
+	function _profile_lists_parse(_text) {
+		const _lists = __rules.list_file_parse(_text, "keywords").lists;
+		Object.keys(_lists).forEach((_category) => {
+			_lists[_category] = _lists[_category].map((_entry) => __rules.expiry_resolve(_entry));
+		});
+		return _lists;
+	}
+
+	// Format a profile's lists as plain text with a section header per category
+	function _profile_lists_text(_lists) {
+		return __rules.categories
+			.filter((_category) => (_lists[_category] || []).length > 0)
+			.map((_category) => [`[${_category}]`, ..._lists[_category]].join("\n"))
+			.join("\n\n");
+	}
+
+	// Show invalid entries and schedule lines of a profile below its fields
+	function _profile_errors_render(_errors_element, _lists_input, _schedule_input) {
+		const _lists = __rules.list_file_parse(_lists_input.value, "keywords").lists;
+		const _invalid = [];
+		__rules.categories.forEach((_category) => {
+			const _parse = { keywords: __rules.keywords_compile, users: __rules.users_parse }[_category] || __rules.entries_parse;
+			_parse(_lists[_category] || []).filter((_entry) => _entry.error).forEach((_entry) => _invalid.push(_entry));
+		});
+		const _invalid_schedule = __rules.schedule_parse(_schedule_input.value.split("\n")).filter((_entry) => _entry.error);
+
+		_errors_element.textContent = "";
+		[..._invalid, ..._invalid_schedule].forEach((_entry) => {
+			const _line = document.createElement("div");
+			_line.textContent = `${_entry.source}: ${_entry.error}`;
+			_errors_element.appendChild(_line);
+		});
+		_lists_input.classList.toggle("invalid", _invalid.length > 0);
+		_schedule_input.classList.toggle("invalid", _invalid_schedule.length > 0);
+	}
+
+	// Apply changes to one profile (optionally without re-rendering, e.g. while typing)
+	function _profile_update(_id, _changes, _skip_render) {
+		chrome.storage.local.get(["profiles"], function(_result) {
+			const _profiles = (_result.profiles || []).map((_profile) =>
+				_profile.id === _id ? Object.assign({}, _profile, _changes) : _profile
+			);
+			chrome.storage.local.set({ profiles: _profiles }, function() {
+				_profiles_load(_skip_render);
+			});
+		});
+	}
+
+	// Create a profile that starts with the categories currently switched on
+	function _profile_add() {
+		const _name_input = document.getElementById("profileName");
+		const _name = _name_input.value.trim();
+		if (_name === "") {
+			return;
+		}
+
+		const _categories = {};
+		__rules.categories.forEach((_category) => {
+			_categories[_category] = document.getElementById(__category_controls[_category].flag).checked;
+		});
+		const _profile = {
+			id: Date.now().toString(36),
+			name: _name,
+			categories: _categories,
+			lists: {},
+			schedule: []
+		};
+
+		chrome.storage.local.get(["profiles"], function(_result) {
+			const _profiles = [...(_result.profiles || []), _profile];
+			chrome.storage.local.set({ profiles: _profiles }, function() {
+				_name_input.value = "";
+				_profiles_load();
 			});
 		});
 	}
 
-	// Execute users cleanup functionality (filter thread)
+	// Delete a profile, going back to the default settings if it was active
+	function _profile_remove(_id) {
+		chrome.storage.local.get(["profiles", "activeProfile"], function(_result) {
+			const _data = { profiles: (_result.profiles || []).filter((_profile) => _profile.id !== _id) };
+			if (_result.activeProfile && _result.activeProfile.id === _id) {
+				_data.activeProfile = { id: "", by: "manual", time: Date.now() };
+			}
+			chrome.storage.local.set(_data, function() {
+				_profiles_load();
+			});
+		});
+	}
+
+	// Switch to a profile by hand ("" for the default settings)
+	function _profile_activate(_id) {
+		chrome.storage.local.set({ activeProfile: { id: _id, by: "manual", time: Date.now() } }, function() {
+			_profiles_load();
+		});
+	}
+
+	// Execute users cleanup functionality (filter thread): ask for a preview of the thread's authors
 	function _cleanup_users_execute() {
 		// Query the active tab to send cleanup message
 		chrome.tabs.query({ active: true, currentWindow: true }, function(_tabs) {
@@ -220,29 +1590,11 @@ const cls_redditShieldPopup = function(_options) {
 					function(_response) {
 						// Handle response from content script
 						if (!_response || _response.status != 200) {
-							document.getElementById("cleanupUsersDescription").innerHTML =
+							document.getElementById("cleanupUsersDescription").textContent =
 								"Can only filter when window is on a reddit thread";
 							return;
 						}
-
-						const _found_users = _response.message;
-						// Add all found users to the filter list
-						const _users_string = document.getElementById("userList").value;
-						const _users_array = _users_string.split("\n").map(item => item.trim());
-						const _combined_users_array = [..._found_users, ..._users_array];
-
-						// Save the combined user list to storage
-						chrome.storage.local.get(["enableSync"], function(_result) {
-							const _enable_sync = _result.enableSync !== undefined ? _result.enableSync : true;
-							const _storage_area = _enable_sync ? chrome.storage.sync : chrome.storage.local;
-
-							_storage_area.set({
-								hiddenUsers: _combined_users_array
-							});
-						});
-
-						// Display the combined users in UI
-						document.getElementById("userList").value = _combined_users_array.join("\n");
+						_cleanup_preview_render(_response.message);
 					}
 				);
 			} catch (_err) {
@@ -251,6 +1603,125 @@ const cls_redditShieldPopup = function(_options) {
 		});
 	}
 
+	// Cleaned, lowercased user names of a list textarea (scope and expiry ignored)
+	function _user_names_get(_list_id) {
+		return new Set(__rules.entries_parse(_list_lines_get(_list_id)).map((_entry) => {
+			return __rules.value_clean("users", _entry.value).toLowerCase();
+		}));
+	}
+
+	// Show the thread's authors as checkboxes; the OP starts unchecked, protected and listed users are left out
+	function _cleanup_preview_render(_found_users) {
+		const _listed = _user_names_get("userList");
+		const _protected = _user_names_get("protectedUserList");
+		const _list_element = document.getElementById("cleanupUsersPreviewList");
+		const _candidates = _found_users.filter((_found) => !_listed.has(_found.user.toLowerCase()));
+		const _skipped = _candidates.filter((_found) => _protected.has(_found.user.toLowerCase())).length;
+
+		_list_element.textContent = "";
+		_candidates.filter((_found) => !_protected.has(_found.user.toLowerCase())).forEach((_found) => {
+			const _label = document.createElement("label");
+			_label.className = "cleanup-preview-item";
+
+			const _checkbox = document.createElement("input");
+			_checkbox.type = "checkbox";
+			_checkbox.className = "cleanup-preview-checkbox";
+			_checkbox.value = _found.user;
+			_checkbox.checked = !_found.op;
+			_checkbox.addEventListener("change", _cleanup_preview_count_render);
+
+			const _name = document.createElement("span");
+			_name.className = "cleanup-preview-name";
+			_name.textContent = `u/${_found.user}`;
+			_name.title = _name.textContent;
+
+			const _count = document.createElement("span");
+			_count.className = "cleanup-preview-count";
+			_count.textContent = _found.op ? `OP · ${_found.comments}` : String(_found.comments);
+			_count.title = `${_found.comments} comment${_found.comments === 1 ? "" : "s"} in this thread`;
+
+			_label.append(_checkbox, _name, _count);
+			_list_element.appendChild(_label);
+		});
+
+		const _shown = _list_element.children.length;
+		document.getElementById("cleanupUsersDescription").textContent = _shown === 0
+			? "No new users in this thread"
+			: `${_shown} user${_shown === 1 ? "" : "s"} found` + (_skipped > 0 ? `, ${_skipped} protected` : "");
+		document.getElementById("cleanupUsersPreview").hidden = _shown === 0;
+		_cleanup_preview_count_render();
+	}
+
+	// Reflect the number of checked users on the add button and the "select all" box
+	function _cleanup_preview_count_render() {
+		const _checkboxes = document.querySelectorAll(".cleanup-preview-checkbox");
+		const _checked = document.querySelectorAll(".cleanup-preview-checkbox:checked").length;
+		const _add_button = document.getElementById("cleanupUsersAddButton");
+		_add_button.textContent = `Add selected (${_checked})`;
+		_add_button.disabled = _checked === 0;
+		document.getElementById("cleanupUsersSelectAll").checked = _checked > 0 && _checked === _checkboxes.length;
+	}
+
+	// Hide the preview without adding anything
+	function _cleanup_preview_close() {
+		document.getElementById("cleanupUsersPreview").hidden = true;
+		document.getElementById("cleanupUsersPreviewList").textContent = "";
+		document.getElementById("cleanupUsersDescription").textContent = "Pick users from the current thread to filter";
+	}
+
+	// Add the checked users to the filter list and remember them as the last batch
+	function _cleanup_users_add() {
+		const _chosen = Array.from(document.querySelectorAll(".cleanup-preview-checkbox:checked")).map((_checkbox) => _checkbox.value);
+		if (_chosen.length === 0) {
+			return;
+		}
+
+		const _user_list = document.getElementById("userList");
+		_user_list.value = [..._chosen, ..._list_lines_get("userList")].join("\n");
+		_lists_validate();
+		_data_save({ label: `Thread cleanup: ${_chosen.length} user${_chosen.length === 1 ? "" : "s"}`, bulk: true });
+
+		chrome.storage.local.set({ [__cleanup_batch_key]: { users: _chosen, time: Date.now() } }, _cleanup_undo_render);
+		_cleanup_preview_close();
+		document.getElementById("cleanupUsersDescription").textContent =
+			`Added ${_chosen.length} user${_chosen.length === 1 ? "" : "s"}`;
+	}
+
+	// Show the undo button while a cleanup batch is stored
+	function _cleanup_undo_render() {
+		chrome.storage.local.get([__cleanup_batch_key], function(_result) {
+			const _batch = _result[__cleanup_batch_key];
+			const _undo_button = document.getElementById("cleanupUsersUndoButton");
+			_undo_button.hidden = !_batch || _batch.users.length === 0;
+			if (_batch) {
+				_undo_button.textContent = `Undo last thread filter (${_batch.users.length})`;
+				_undo_button.title = `Added ${_time_ago_format(_batch.time)}: ${_batch.users.join(", ")}`;
+			}
+		});
+	}
+
+	// Remove the users added by the last cleanup batch (entries edited since are kept)
+	function _cleanup_users_undo() {
+		chrome.storage.local.get([__cleanup_batch_key], function(_result) {
+			const _batch = _result[__cleanup_batch_key];
+			if (!_batch) {
+				return;
+			}
+
+			const _batch_users = new Set(_batch.users);
+			const _user_list = document.getElementById("userList");
+			const _kept = _list_lines_get("userList").filter((_line) => !_batch_users.has(_line));
+			const _removed = _list_lines_get("userList").length - _kept.length;
+			_user_list.value = _kept.join("\n");
+			_lists_validate();
+			_data_save({ label: "Undo thread cleanup", bulk: false });
+
+			chrome.storage.local.remove(__cleanup_batch_key, _cleanup_undo_render);
+			document.getElementById("cleanupUsersDescription").textContent =
+				`Removed ${_removed} user${_removed === 1 ? "" : "s"} from the last thread filter`;
+		});
+	}
+
 	// Execute keywords cleanup functionality (remove from current page)
 	function _cleanup_keywords_execute() {
 		// Query the active tab to send cleanup message
@@ -270,20 +1741,18 @@ const cls_redditShieldPopup = function(_options) {
 						// Remove found keywords from the filter list
 						const _keywords_string = document.getElementById("keywordList").value;
 						const _keywords_array = _keywords_string.split("\n").map(item => item.trim());
-						const _filtered_keywords = _keywords_array.filter(k => !_found_keywords.includes(k.toLowerCase()));
+						const _filtered_keywords = _keywords_array.filter(k => !_found_keywords.includes(k));
 
 						// Save the filtered keyword list to storage
-						chrome.storage.local.get(["enableSync"], function(_result) {
-							const _enable_sync = _result.enableSync !== undefined ? _result.enableSync : true;
-							const _storage_area = _enable_sync ? chrome.storage.sync : chrome.storage.local;
-
-							_storage_area.set({
-								hiddenKeywords: _filtered_keywords
-							});
-						});
+						__storage.save({ hiddenKeywords: _filtered_keywords }, _save_result_handle, _list_change_get({
+							label: "Keywords cleared from page",
+							bulk: true
+						}));
+						_lists_base_update({ hiddenKeywords: _filtered_keywords });
 
 						// Display the filtered keywords in UI
 						document.getElementById("keywordList").value = _filtered_keywords.join("\n");
+						_lists_validate();
 					}
 				);
 			} catch (_err) {
@@ -311,17 +1780,14 @@ const cls_redditShieldPopup = function(_options) {
 						// Remove found subreddits from the filter list
 						const _subreddits_string = document.getElementById("subredditList").value;
 						const _subreddits_array = _subreddits_string.split("\n").map(item => item.trim());
-						const _filtered_subreddits = _subreddits_array.filter(s => !_found_subreddits.includes(s.toLowerCase()));
+						const _filtered_subreddits = _subreddits_array.filter(s => !_found_subreddits.includes(s));
 
 						// Save the filtered subreddit list to storage
-						chrome.storage.local.get(["enableSync"], function(_result) {
-							const _enable_sync = _result.enableSync !== undefined ? _result.enableSync : true;
-							const _storage_area = _enable_sync ? chrome.storage.sync : chrome.storage.local;
-
-							_storage_area.set({
-								hiddenSubreddits: _filtered_subreddits
-							});
-						});
+						__storage.save({ hiddenSubreddits: _filtered_subreddits }, _save_result_handle, _list_change_get({
+							label: "Subreddits cleared from page",
+							bulk: true
+						}));
+						_lists_base_update({ hiddenSubreddits: _filtered_subreddits });
 
 						// Display the filtered subreddits in UI
 						document.getElementById("subredditList").value = _filtered_subreddits.join("\n");
@@ -333,6 +1799,44 @@ const cls_redditShieldPopup = function(_options) {
 		});
 	}
 
+	// Execute domains cleanup functionality (remove from current page)
+	function _cleanup_domains_execute() {
+		// Query the active tab to send cleanup message
+		chrome.tabs.query({ active: true, currentWindow: true }, function(_tabs) {
+			try {
+				// Send cleanup request to content script
+				chrome.tabs.sendMessage(
+					_tabs[0].id,
+					{ action: "cleanupDomains" },
+					function(_response) {
+						// Handle response from content script
+						if (!_response || _response.status != 200) {
+							return;
+						}
+
+						const _found_domains = _response.message;
+						// Remove found domains from the filter list
+						const _domains_string = document.getElementById("domainList").value;
+						const _domains_array = _domains_string.split("\n").map(item => item.trim());
+						const _filtered_domains = _domains_array.filter(d => !_found_domains.includes(d));
+
+						// Save the filtered domain list to storage
+						__storage.save({ hiddenDomains: _filtered_domains }, _save_result_handle, _list_change_get({
+							label: "Domains cleared from page",
+							bulk: true
+						}));
+						_lists_base_update({ hiddenDomains: _filtered_domains });
+
+						// Display the filtered domains in UI
+						document.getElementById("domainList").value = _filtered_domains.join("\n");
+					}
+				);
+			} catch (_err) {
+				// Silently handle any errors
+			}
+		});
+	}
+
 	// Public object for future extensibility
 	var pub = {
 		// Public methods can be added here in the future
@@ -6,27 +6,97 @@
  * Reddit designs by detecting DOM structure differences and applying appropriate
  * filtering methods.
  *
+ * Design support:
+ * - New Reddit: reads attributes from shreddit-post / shreddit-comment elements
+ * - Old Reddit: reads data-* attributes from .thing.link / .thing.comment elements
+ * - Both designs are normalized into the same metadata shape before rule matching
+ *
  * Filtering process:
  * 1. Loads filter criteria from Chrome storage (sync or local based on user preference)
  * 2. Processes and cleans input data (removes prefixes, normalizes case)
  * 3. Observes DOM changes using MutationObserver for dynamic content
- * 4. Applies filtering by setting display:none on matching elements
- * 5. Filters posts on listing pages and comments on thread pages
+ * 4. Applies filtering to matching elements using each category's display mode:
+ *    hide (display:none), collapse (one-line placeholder naming the matched rule,
+ *    with a "Show anyway" button) or blur (dimmed until clicked)
+ * 5. Filters posts on listing pages and comments on thread pages (by author and,
+ *    when enabled, by keyword rules applied to the comment body)
+ * 6. Filtering is reversible: each filtered element records its category, rule and
+ *    display mode (data-reddit-shield, -rule, -mode); when the options change every
+ *    element is re-evaluated, so removed rules unhide content and the badge drops
+ *
+ * Thread handling (threadMode preference, comments only):
+ * - "subtree": a filtered comment is hidden with all of its nested replies
+ * - "body": only the comment's own parts (author line, text, action row) are hidden,
+ *   marked data-reddit-shield-part, so the replies below it stay readable
+ * - "replies": like "body", and direct replies to a comment filtered by its author are
+ *   hidden the same way (data-reddit-shield-reply); they are counted apart in the badge
+ *
+ * Temporary mutes:
+ * - Entries may end with "~7d" or an absolute "~2025-10-15T18:00Z" expiry
+ * - Expired entries are skipped here and pruned from storage by background.js
+ *
+ * Post attribute filters (posts only, each with its own toggle):
+ * - Flair rules ("hiddenFlairs", same syntax as keyword rules) matched against the flair text
+ * - NSFW and spoiler flags, post types (text, image, video, gallery, link, poll)
+ * - Score and comment count thresholds ("under 10 points", "fewer than 3 comments");
+ *   posts whose score or count Reddit hides are never filtered by a threshold
+ *
+ * Allowlists:
+ * - allowedUsers / allowedSubreddits / allowedKeywords / allowedDomains use the same
+ *   syntax as the filter lists; an allowlist match wins over any block
+ * - Spared items stay visible, are marked data-reddit-shield-spared and are logged with
+ *   the allowlist entry that spared them, but are not counted in the badge
+ *
+ * Scoped rules:
+ * - Entries may end with "@ r/sub" / "@ !r/sub" (parsed by rules.js)
+ * - Scopes are checked against the subreddit being browsed, or each post's own
+ *   subreddit on mixed feeds (home, r/all, r/popular)
  *
  * Performance considerations:
- * - Only processes visible elements to avoid O(n^2) complexity
- * - Uses Set data structures for O(1) lookup performance
- * - Debounced through MutationObserver to handle rapid DOM changes
+ * - Options are cached in memory and only reloaded when chrome.storage reports a change
+ *   to a key the filters depend on (not on every DOM mutation)
+ * - The MutationObserver collects only the posts and comments inside added nodes and
+ *   evaluates them in debounced batches; evaluated elements are remembered in a WeakSet
+ *   so nothing is checked twice against the same options
+ * - A full rescan happens only when the options change
+ * - Uses Map data structures for O(1) lookup performance
+ * - The badge counts distinct items (by Reddit thing id), so re-rendered elements are
+ *   not counted twice; the count is sent with its breakdown by filter category
  *
  * Thread cleanup feature:
- * - Collects all visible user names from current thread
- * - Excludes already-filtered users to avoid duplicates
- * - Sends list back to popup for addition to filter list
- * - Immediately applies filtering to collected users
+ * - Collects the distinct authors in the current thread with their comment counts,
+ *   marking the original poster
+ * - Excludes already-filtered and deleted users
+ * - Sends the preview back to the popup, which lets the user pick who to add; nothing
+ *   is filtered until the popup saves the chosen users
+ *
+ * Inline controls:
+ * - A shield button follows the hovered post or comment and opens a menu with
+ *   "Hide user", "Hide subreddit" and (for link posts) "Hide domain"
+ * - Entries are added by background.js to the same list keys the popup saves, so the
+ *   popup shows them and the storage change filters the item right away
+ * - Can be turned off with the showInlineControls preference
+ *
+ * Filter log:
+ * - Every filtered element gets a data-reddit-shield-id and a log event (category,
+ *   matched rule, title or author, permalink) sent to background.js
+ * - The popup can ask for a logged item to be unhidden by its id
+ *
+ * Subscriptions:
+ * - Lists of enabled subscriptions (fetched by background.js into local storage) are
+ *   merged with the personal lists when options are processed
+ * - Each subscription's override entries are left out of the merge
+ *
+ * Profiles:
+ * - The active profile ("activeProfile" and "profiles" in chrome.storage.local) adds its
+ *   own entries to each list and decides which categories are filtered, in place of the
+ *   filterUsers / filterKeywords / filterSubreddits / filterDomains toggles
+ * - background.js switches profiles on their weekly schedule; the change reloads the options
  *
  * Storage integration:
  * - Automatically detects sync preference from local storage
- * - Reloads and reapplies filters when storage changes
+ * - Reads through storage.js, which reassembles lists sharded across keys
+ * - Reloads and reapplies filters when storage changes (chrome.storage.onChanged)
  * - Supports migration between storage types
  *
  * @version 1.51
@@ -35,17 +105,79 @@
  */
 const cls_redditShieldContent = function(_options) {
 	// Global variables for content filtering
-	let __user_bans = new Set();
-	let __subreddit_bans = new Set();
-	let __keyword_bans = new Set();
-	let __domain_bans = new Set();
+	// Filter maps: cleaned value -> list of entries ({ source, scope }) for O(1) lookup
+	let __user_bans = new Map();
+	let __subreddit_bans = new Map();
+	let __keyword_bans = []; // Compiled keyword rules (see rules.js)
+	let __domain_bans = new Map();
+	// Allowlist maps and rules (same shapes); an allowlist match spares an item from any block
+	let __user_allows = new Map();
+	let __subreddit_allows = new Map();
+	let __keyword_allows = [];
+	let __domain_allows = new Map();
 	let __logging_enabled = false;
 	let __filter_users = false;
 	let __filter_keywords = false;
+	let __filter_comment_keywords = false;
 	let __filter_subreddits = false;
 	let __filter_domains = false;
-	let __filtered_count = 0; // Track total filtered items for badge
+	// Post attribute filters: flair rules, content flags, post types and score/comment thresholds
+	let __flair_bans = []; // Compiled flair rules (same syntax as keywords)
+	let __filter_flairs = false;
+	let __filter_nsfw = false;
+	let __filter_spoilers = false;
+	let __filter_post_types = false;
+	let __hidden_post_types = []; // "text", "image", "video", "gallery", "link", "poll"
+	let __min_score = null; // Posts under this score are filtered (null when disabled)
+	let __min_comments = null; // Posts with fewer comments are filtered (null when disabled)
+	let __display_modes = { users: "hide", keywords: "hide", subreddits: "hide", domains: "hide", flairs: "hide", attributes: "hide" }; // hide | collapse | blur
+	let __counted_items = new Map(); // Thing id -> category of filtered items on this page (badge count)
+	let __counted_replies = new Map(); // Same for replies hidden because they answer a filtered user
+	let __thread_mode = "subtree"; // subtree | body | replies (how a filtered comment treats its replies)
+	let __processed_elements = new WeakSet(); // Elements already evaluated against the current options
+	let __options_loaded = false; // Nothing is evaluated until the options are first loaded
 	let __current_url = window.location.href; // Track current URL for navigation detection
+	let __element_id_counter = 0; // Ids linking filtered elements to filter log events
+	let __pending_log_events = []; // Filter events not yet sent to the background worker
+	let __inline_controls_enabled = true; // Show the shield button over hovered posts and comments
+	let __inline_button = null; // Floating shield button (one for the whole page)
+	let __inline_menu = null; // Action menu opened from the shield button
+	let __inline_target = null; // Post or comment the shield button currently belongs to
+
+	// Singular category names used in placeholders and log entries
+	const __category_names = { users: "user", keywords: "keyword", subreddits: "subreddit", domains: "domain", flairs: "flair", attributes: "post" };
+	const __rules = cls_redditShieldRules({}); // Shared rule parser
+	const __storage = cls_redditShieldStorage({}); // Shared storage layer
+	let __old_reddit = false; // Detected page design (old.reddit.com markup vs shreddit elements)
+
+	// Storage keys the filtering options are built from
+	const __option_keys = [
+		"hiddenUsers", "hiddenKeywords", "hiddenSubreddits", "hiddenDomains",
+		"allowedUsers", "allowedKeywords", "allowedSubreddits", "allowedDomains",
+		"loggingEnabled", "filterUsers", "filterKeywords", "filterCommentKeywords", "filterSubreddits", "filterDomains",
+		"displayModeUsers", "displayModeKeywords", "displayModeSubreddits", "displayModeDomains",
+		"hiddenFlairs", "filterFlairs", "filterNsfw", "filterSpoilers", "filterPostTypes", "hiddenPostTypes",
+		"filterMinScore", "minScore", "filterMinComments", "minComments",
+		"displayModeFlairs", "displayModeAttributes", "showInlineControls", "threadMode",
+		"blockUsers", "blockKeywords", "blockSubreddits", "blockDomains"  // backward compatibility
+	];
+
+	// Element selectors for each Reddit design; comment_parts are a comment's own parts
+	// (everything but its nested replies) and comment_body the part a placeholder goes before
+	const __selectors = {
+		new: {
+			posts: "shreddit-post",
+			comments: "shreddit-comment",
+			comment_parts: ':scope > [slot="commentAvatar"], :scope > [slot="commentMeta"], :scope > [slot="comment"], :scope > [slot="actionRow"]',
+			comment_body: ':scope > [slot="comment"]'
+		},
+		old: {
+			posts: ".thing.link",
+			comments: ".thing.comment",
+			comment_parts: ":scope > .midcol, :scope > .entry",
+			comment_body: ":scope > .entry"
+		}
+	};
 
 	// Console log styling
 	const __log_styles = {
@@ -53,154 +185,676 @@ const cls_redditShieldContent = function(_options) {
 		keyword: 'color: #4ECDC4; font-weight: bold; background: #E5F9F7; padding: 2px 6px; border-radius: 3px;',
 		user: 'color: #95E1D3; font-weight: bold; background: #E5F9F4; padding: 2px 6px; border-radius: 3px;',
 		domain: 'color: #F38181; font-weight: bold; background: #FFE5E5; padding: 2px 6px; border-radius: 3px;',
+		flair: 'color: #F9A826; font-weight: bold; background: #FFF4E0; padding: 2px 6px; border-radius: 3px;',
+		post: 'color: #6C8EBF; font-weight: bold; background: #E8EFF9; padding: 2px 6px; border-radius: 3px;',
 		cleanup: 'color: #AA96DA; font-weight: bold; background: #F0EBFF; padding: 2px 6px; border-radius: 3px;',
 		title: 'color: #666; font-style: italic;'
 	};
 
 	// Initialize the content script
 	function _initialize() {
+		// Detect which Reddit design the page is using
+		__old_reddit = _design_detect();
 		// Listen for messages from popup (cleanup requests)
 		chrome.runtime.onMessage.addListener(_cleanup_request_handle);
+		// Listen for unhide requests from the popup's filter log
+		chrome.runtime.onMessage.addListener(_log_request_handle);
 		// Load saved filtering options
 		_options_get_saved();
+		// Reload the options whenever a key they depend on changes
+		_storage_changes_observe();
 		// Start observing DOM changes for dynamic content
 		_dom_changes_observe();
+		// Add the inline shield controls
+		_inline_controls_create();
 	}
 
-	// Filter posts based on filtering criteria
-	function _posts_ban(_subreddits, _keywords, _users, _domains) {
-		// Don't filter posts on individual thread pages
-		if (window.location.pathname.includes("/comments/")) {
-			return;
+	// Detect old Reddit by hostname or by its classic listing/comment markup
+	function _design_detect() {
+		if (window.location.hostname === "old.reddit.com") {
+			return true;
 		}
+		return document.querySelector("#siteTable, .commentarea") !== null;
+	}
 
-		// Get all post elements in Reddit
-		const _posts = document.querySelectorAll("shreddit-post");
-		// Filter to only visible posts to avoid O(n^2) complexity
-		const _visible_posts = Array.from(_posts).filter(
-			(_el) => window.getComputedStyle(_el).display !== "none"
-		);
+	// Get the element selectors for the detected design
+	function _selectors_get() {
+		return __old_reddit ? __selectors.old : __selectors.new;
+	}
 
-		_visible_posts.forEach((_post) => {
-			// Extract post metadata (slice(2) removes "r/" prefix)
-			const _subreddit = _post.getAttribute("subreddit-prefixed-name").slice(2);
-			const _title = _post.getAttribute("post-title");
-			const _author = _post.getAttribute("author");
-			const _domain = _post.getAttribute("domain");
+	// Extract post metadata in a design-independent shape
+	function _post_data_get(_post) {
+		if (__old_reddit) {
+			const _title_link = _post.querySelector("a.title");
+			const _flair = _post.querySelector(".linkflairlabel");
+			return {
+				subreddit: _post.getAttribute("data-subreddit") || "",
+				title: _title_link ? _title_link.textContent.trim() : "",
+				author: _post.getAttribute("data-author") || "",
+				domain: _post.getAttribute("data-domain") || "",
+				url: _post.getAttribute("data-url") || "",
+				flair: _flair ? (_flair.getAttribute("title") || _flair.textContent).trim() : "",
+				nsfw: _post.getAttribute("data-nsfw") === "true",
+				spoiler: _post.getAttribute("data-spoiler") === "true",
+				type: _post_type_get_old(_post),
+				score: _number_parse(_post.getAttribute("data-score")),
+				comments: _number_parse(_post.getAttribute("data-comments-count"))
+			};
+		}
 
-			// Filter by subreddit
-			if (__filter_subreddits && _subreddits.has(_subreddit.toLowerCase())) {
-				if (__logging_enabled) {
-					console.log(
-						`%c🛡️ SUBREDDIT %c${_subreddit}%c → %c${_title}`,
-						'color: #FF6B6B; font-weight: bold;',
-						__log_styles.subreddit,
-						'color: #999;',
-						__log_styles.title
-					);
+		// slice(2) removes "r/" prefix
+		const _subreddit_prefixed = _post.getAttribute("subreddit-prefixed-name") || "";
+		const _flair = _post.querySelector("shreddit-post-flair");
+		const _type = _post.getAttribute("post-type") || "";
+		return {
+			subreddit: _subreddit_prefixed.slice(2),
+			title: _post.getAttribute("post-title") || "",
+			author: _post.getAttribute("author") || "",
+			domain: _post.getAttribute("domain") || "",
+			url: _post.getAttribute("content-href") || "",
+			flair: _flair ? _flair.textContent.trim() : "",
+			nsfw: _post.hasAttribute("nsfw"),
+			spoiler: _post.hasAttribute("spoiler"),
+			type: _type === "multi_media" ? "gallery" : _type,
+			score: _number_parse(_post.getAttribute("score")),
+			comments: _number_parse(_post.getAttribute("comment-count"))
+		};
+	}
+
+	// Work out an old Reddit post's type from its domain and URL
+	function _post_type_get_old(_post) {
+		const _domain = _post.getAttribute("data-domain") || "";
+		const _url = _post.getAttribute("data-url") || "";
+		if (_domain.startsWith("self.")) {
+			return "text";
+		}
+		if (_domain === "v.redd.it") {
+			return "video";
+		}
+		if (_url.includes("/gallery/")) {
+			return "gallery";
+		}
+		if (_domain === "i.redd.it" || /\.(jpe?g|png|gif|webp)$/i.test(_url)) {
+			return "image";
+		}
+		return "link";
+	}
+
+	// Parse a numeric attribute, returning null when it is missing or hidden
+	function _number_parse(_value) {
+		const _number = parseInt(_value, 10);
+		return Number.isNaN(_number) ? null : _number;
+	}
+
+	// Extract the author of a post or comment element
+	function _author_get(_element) {
+		return _element.getAttribute(__old_reddit ? "data-author" : "author");
+	}
+
+	// Key users are matched by: lowercase name, "" for deleted and removed authors
+	function _user_key_get(_author) {
+		return _author ? __rules.value_clean("users", _author) : "";
+	}
+
+	// Get the page context used to evaluate scoped rules
+	function _page_context_get(_item_subreddit) {
+		const _path_match = window.location.pathname.match(/^\/r\/([^\/]+)/i);
+		const _feed_paths = /^\/(best|hot|new|top|rising|controversial)?\/?$/i;
+		let _page = "";
+		if (_path_match) {
+			_page = _path_match[1].toLowerCase();
+		} else if (_feed_paths.test(window.location.pathname)) {
+			_page = "home";
+		}
+
+		// Home, r/all, r/popular, multireddits and non-subreddit pages mix communities
+		const _feed = !_path_match || _page === "all" || _page === "popular" || _page.includes("+");
+		return { page: _page, feed: _feed, subreddit: _item_subreddit || "" };
+	}
+
+	// Find the first entry for a value whose scope applies in the given context
+	function _bans_match(_bans, _value, _context) {
+		const _entries = _bans.get(_value);
+		if (!_entries) {
+			return null;
+		}
+		return _entries.find((_entry) => __rules.scope_matches(_entry.scope, _context)) || null;
+	}
+
+	// Get the domain lookup keys of a post's link (the bare domain when the URL is missing)
+	function _post_domain_keys_get(_post_data) {
+		// Self posts link back to Reddit, so only their "self.<subreddit>" domain is matched
+		if (_post_data.domain.startsWith("self.")) {
+			return [_post_data.domain.toLowerCase()];
+		}
+		return __rules.domain_keys(/^https?:/i.test(_post_data.url || "") ? _post_data.url : _post_data.domain);
+	}
+
+	// Find the first domain entry covering a post's link: its host or any parent domain,
+	// alone or with a path prefix of the link
+	function _domains_match(_domains, _post_data, _context) {
+		for (let _key of _post_domain_keys_get(_post_data)) {
+			const _entry = _bans_match(_domains, _key, _context);
+			if (_entry) {
+				return _entry;
+			}
+		}
+		return null;
+	}
+
+	// Add a parsed entry to a filter map under its cleaned value
+	function _bans_add(_bans, _value, _entry) {
+		if (!_bans.has(_value)) {
+			_bans.set(_value, []);
+		}
+		_bans.get(_value).push(_entry);
+	}
+
+	// Find the filter a post matches, with the allowlist entry that spares it (if any)
+	function _post_match(_post, _subreddits, _keywords, _users, _domains) {
+		const _post_data = _post_data_get(_post);
+		const _context = _page_context_get(_post_data.subreddit);
+		const _match = _post_block_match(_post_data, _context, _subreddits, _keywords, _users, _domains);
+		if (_match) {
+			_match.allowed = _allow_match(_post_data, _post_data.title, _context);
+		}
+		return _match;
+	}
+
+	// Find the first filter post metadata matches, in order: subreddit, keyword, user, domain
+	function _post_block_match(_post_data, _context, _subreddits, _keywords, _users, _domains) {
+		const _subreddit = _post_data.subreddit;
+		const _title = _post_data.title;
+		const _author = _post_data.author;
+		const _domain = _post_data.domain;
+
+		// Filter by subreddit
+		const _subreddit_entry = __filter_subreddits ? _bans_match(_subreddits, _subreddit.toLowerCase(), _context) : null;
+		if (_subreddit_entry) {
+			return { category: "subreddits", rule: _subreddit_entry.source, subject: _subreddit, label: _title };
+		}
+
+		// Filter by keyword rules in title
+		if (__filter_keywords) {
+			for (let _rule of _keywords) {
+				if (__rules.scope_matches(_rule.scope, _context) && _rule.regex.test(_title)) {
+					return { category: "keywords", rule: _rule.source, subject: _rule.source, label: _title };
 				}
-				_post.style.display = "none";
-				__filtered_count++;
-				return;
 			}
+		}
 
-			// Filter by keywords in title
-			const _lower_title = _title.toLowerCase();
-			if (__filter_keywords) {
-				for (let _ban_word of _keywords) {
-					if (_lower_title.includes(_ban_word)) {
-						if (__logging_enabled) {
-							console.log(
-								`%c🛡️ KEYWORD %c${_ban_word}%c → %c${_title}`,
-								'color: #4ECDC4; font-weight: bold;',
-								__log_styles.keyword,
-								'color: #999;',
-								__log_styles.title
-							);
-						}
-						_post.style.display = "none";
-						__filtered_count++;
-						return;
-					}
+		// Filter by user/author
+		const _user_key = _user_key_get(_author);
+		const _user_entry = __filter_users && _user_key ? _bans_match(_users, _user_key, _context) : null;
+		if (_user_entry) {
+			return { category: "users", rule: _user_entry.source, subject: _author, label: _title };
+		}
+
+		// Filter by domain
+		const _domain_entry = __filter_domains ? _domains_match(_domains, _post_data, _context) : null;
+		if (_domain_entry) {
+			return { category: "domains", rule: _domain_entry.source, subject: _domain, label: _title };
+		}
+
+		// Filter by flair rules
+		if (__filter_flairs && _post_data.flair) {
+			for (let _rule of __flair_bans) {
+				if (__rules.scope_matches(_rule.scope, _context) && _rule.regex.test(_post_data.flair)) {
+					return { category: "flairs", rule: _rule.source, subject: _post_data.flair, label: _title };
 				}
 			}
+		}
 
-			// Filter by user/author
-			if (__filter_users && _users.has(_author)) {
-				if (__logging_enabled) {
-					console.log(
-						`%c🛡️ USER %c${_author}%c → %c${_title}`,
-						'color: #95E1D3; font-weight: bold;',
-						__log_styles.user,
-						'color: #999;',
-						__log_styles.title
-					);
+		// Filter by content flags, post type and thresholds
+		const _attribute_rule = _post_attribute_rule_get(_post_data);
+		if (_attribute_rule) {
+			return { category: "attributes", rule: _attribute_rule, subject: _attribute_rule, label: _title };
+		}
+
+		return null;
+	}
+
+	// Describe the first post attribute filter a post matches ("nsfw", "type image", "score < 10"...)
+	function _post_attribute_rule_get(_post_data) {
+		if (__filter_nsfw && _post_data.nsfw) {
+			return "nsfw";
+		}
+		if (__filter_spoilers && _post_data.spoiler) {
+			return "spoiler";
+		}
+		if (__filter_post_types && _post_data.type && __hidden_post_types.includes(_post_data.type)) {
+			return `type ${_post_data.type}`;
+		}
+		if (__min_score !== null && _post_data.score !== null && _post_data.score < __min_score) {
+			return `score < ${__min_score}`;
+		}
+		if (__min_comments !== null && _post_data.comments !== null && _post_data.comments < __min_comments) {
+			return `comments < ${__min_comments}`;
+		}
+		return null;
+	}
+
+	// Find the filter a comment matches, with the allowlist entry that spares it (if any)
+	function _comment_match(_comment, _users, _keywords) {
+		// Comments share the thread's subreddit
+		const _context = _page_context_get("");
+		const _author = _author_get(_comment);
+		const _text = _comment_text_get(_comment);
+		const _match = _comment_block_match(_author, _text, _context, _users, _keywords)
+			|| _reply_match(_comment, _users, _context);
+		if (_match) {
+			_match.allowed = _allow_match({ author: _author, subreddit: _context.page, domain: "" }, _text, _context);
+			// Outside "subtree" mode only the comment itself is hidden and its replies stay visible
+			_match.scope = __thread_mode === "subtree" ? "subtree" : "body";
+		}
+		return _match;
+	}
+
+	// In "replies" mode, match a direct reply to a comment filtered by its author
+	function _reply_match(_comment, _users, _context) {
+		if (__thread_mode !== "replies" || !__filter_users || !_comment.parentElement) {
+			return null;
+		}
+		const _parent = _comment.parentElement.closest(_selectors_get().comments);
+		if (!_parent) {
+			return null;
+		}
+
+		const _parent_author = _author_get(_parent);
+		const _parent_key = _user_key_get(_parent_author);
+		const _parent_entry = _parent_key ? _bans_match(_users, _parent_key, _context) : null;
+		if (!_parent_entry) {
+			return null;
+		}
+		// A parent spared by the allowlist stays visible, so its replies do too
+		const _parent_data = { author: _parent_author, subreddit: _context.page, domain: "" };
+		if (_allow_match(_parent_data, _comment_text_get(_parent), _context)) {
+			return null;
+		}
+		return { category: "users", rule: _parent_entry.source, subject: _parent_author, label: `Reply to u/${_parent_author}`, reply: true };
+	}
+
+	// Find the filter a comment's author or body matches: the author first, then keyword rules
+	function _comment_block_match(_author, _text, _context, _users, _keywords) {
+		const _label = `Comment by u/${_author}`;
+
+		// Filter by comment author
+		const _user_key = _user_key_get(_author);
+		const _user_entry = __filter_users && _user_key ? _bans_match(_users, _user_key, _context) : null;
+		if (_user_entry) {
+			return { category: "users", rule: _user_entry.source, subject: _author, label: _label };
+		}
+
+		// Filter by keyword rules in the comment body
+		if (__filter_comment_keywords) {
+			for (let _rule of _keywords) {
+				if (_text && __rules.scope_matches(_rule.scope, _context) && _rule.regex.test(_text)) {
+					return { category: "keywords", rule: _rule.source, subject: _rule.source, label: _label };
 				}
-				_post.style.display = "none";
-				__filtered_count++;
-				return;
 			}
+		}
 
-			// Filter by domain
-			if (__filter_domains && _domains.has(_domain.toLowerCase())) {
-				if (__logging_enabled) {
-					console.log(
-						`%c🛡️ DOMAIN %c${_domain}%c → %c${_title}`,
-						'color: #F38181; font-weight: bold;',
-						__log_styles.domain,
-						'color: #999;',
-						__log_styles.title
-					);
+		return null;
+	}
+
+	// Find the first allowlist entry (user, subreddit, keyword, domain) that spares an item
+	function _allow_match(_item_data, _text, _context) {
+		const _user_key = _user_key_get(_item_data.author);
+		const _user_entry = _user_key ? _bans_match(__user_allows, _user_key, _context) : null;
+		if (_user_entry) {
+			return { category: "users", rule: _user_entry.source };
+		}
+
+		const _subreddit_entry = _bans_match(__subreddit_allows, _item_data.subreddit.toLowerCase(), _context);
+		if (_subreddit_entry) {
+			return { category: "subreddits", rule: _subreddit_entry.source };
+		}
+
+		if (_text) {
+			for (let _rule of __keyword_allows) {
+				if (__rules.scope_matches(_rule.scope, _context) && _rule.regex.test(_text)) {
+					return { category: "keywords", rule: _rule.source };
 				}
-				_post.style.display = "none";
-				__filtered_count++;
-				return;
+			}
+		}
+
+		const _domain_entry = _item_data.domain ? _domains_match(__domain_allows, _item_data, _context) : null;
+		if (_domain_entry) {
+			return { category: "domains", rule: _domain_entry.source };
+		}
+
+		return null;
+	}
+
+	// Describe the allowlist entry that spared an item, e.g. "user alice"
+	function _allow_reason_get(_allowed) {
+		return `${__category_names[_allowed.category]} ${_allowed.rule}`;
+	}
+
+	// Display mode a match is applied with ("spared" when an allowlist entry wins)
+	function _match_mode_get(_match) {
+		return _match.allowed ? "spared" : (__display_modes[_match.category] || "hide");
+	}
+
+	// Log a match to the console when logging is enabled
+	function _match_log(_match) {
+		if (!__logging_enabled) {
+			return;
+		}
+		const _name = __category_names[_match.category];
+		const _spared = _match.allowed ? ` (spared by ${_allow_reason_get(_match.allowed)})` : "";
+		const _kind = _match.reply ? `${_name} reply` : _name;
+		console.log(
+			`%c🛡️ ${_kind.toUpperCase()} %c${_match.subject}%c → %c${_match.label}${_spared}`,
+			`${__log_styles[_name].split(";")[0]}; font-weight: bold;`,
+			__log_styles[_name],
+			'color: #999;',
+			__log_styles.title
+		);
+	}
+
+	// Filter posts based on filtering criteria (all posts on the page unless given)
+	function _posts_ban(_subreddits, _keywords, _users, _domains, _posts = document.querySelectorAll(_selectors_get().posts)) {
+		// Don't filter posts on individual thread pages
+		if (window.location.pathname.includes("/comments/")) {
+			return;
+		}
+
+		// Skip posts that are already filtered
+		const _unfiltered_posts = Array.from(_posts).filter((_el) => !_el.hasAttribute("data-reddit-shield"));
+
+		_unfiltered_posts.forEach((_post) => {
+			const _match = _post_match(_post, _subreddits, _keywords, _users, _domains);
+			if (_match) {
+				_match_log(_match);
+				_element_filter(_post, _match);
 			}
 		});
 	}
 
-	// Filter comments based on user filtering
-	function _comments_ban(_users = []) {
+	// Filter comments based on user filtering and comment keyword rules (all comments unless given)
+	function _comments_ban(_users = new Map(), _keywords = [], _comments = document.querySelectorAll(_selectors_get().comments)) {
 		// Only filter comments on thread pages
 		if (!window.location.pathname.includes("/comments/")) {
 			return;
 		}
 
-		// Only process if user filtering is enabled
-		if (!__filter_users) {
+		// Only process if user or comment keyword filtering is enabled
+		if (!__filter_users && !__filter_comment_keywords) {
 			return;
 		}
 
-		// Get all comment elements in Reddit
-		const _comments = document.querySelectorAll("shreddit-comment");
-		// Filter to only visible comments to avoid O(n^2) complexity
-		const _visible_comments = Array.from(_comments).filter(
-			(_el) => window.getComputedStyle(_el).display !== "none"
-		);
+		// Skip comments that are already filtered
+		const _unfiltered_comments = Array.from(_comments).filter((_el) => !_el.hasAttribute("data-reddit-shield"));
 
-		_visible_comments.forEach((_comment) => {
-			// Extract comment author
-			const _author = _comment.getAttribute("author");
-			if (_author && _users.has(_author)) {
-				if (__logging_enabled) {
-					console.log(
-						`%c🛡️ USER %c${_author}%c → comment hidden`,
-						'color: #95E1D3; font-weight: bold;',
-						__log_styles.user,
-						'color: #999;'
-					);
+		_unfiltered_comments.forEach((_comment) => {
+			const _match = _comment_match(_comment, _users, _keywords);
+			if (_match) {
+				_match_log(_match);
+				_element_filter(_comment, _match);
+			}
+		});
+	}
+
+	// Re-evaluate every post and comment on the page against the current options,
+	// unfiltering elements whose rule was removed and refiltering those whose match changed
+	function _elements_reevaluate() {
+		const _selectors = _selectors_get();
+		const _thread_page = window.location.pathname.includes("/comments/");
+		__processed_elements = new WeakSet();
+		// The count is rebuilt from the elements that stay or become filtered
+		__counted_items.clear();
+		__counted_replies.clear();
+
+		document.querySelectorAll(`${_selectors.posts}, ${_selectors.comments}`).forEach((_element) => {
+			__processed_elements.add(_element);
+
+			let _match = null;
+			if (_element.matches(_selectors.posts)) {
+				_match = _thread_page ? null : _post_match(_element, __subreddit_bans, __keyword_bans, __user_bans, __domain_bans);
+			} else if (_thread_page) {
+				_match = _comment_match(_element, __user_bans, __keyword_bans);
+			}
+
+			// Keep elements filtered for the same reason, mode and scope (revealed ones stay revealed)
+			if (_element.hasAttribute("data-reddit-shield")) {
+				const _unchanged = _match
+					&& _element.getAttribute("data-reddit-shield") === _match.category
+					&& _element.getAttribute("data-reddit-shield-rule") === _match.rule
+					&& _element.getAttribute("data-reddit-shield-mode") === _match_mode_get(_match)
+					&& _element.getAttribute("data-reddit-shield-scope") === (_match.scope || "subtree")
+					&& _element.hasAttribute("data-reddit-shield-reply") === Boolean(_match.reply)
+					&& _element.getAttribute("data-reddit-shield-spared") === (_match.allowed ? _allow_reason_get(_match.allowed) : null);
+				if (_unchanged) {
+					if (!_match.allowed) {
+						_count_add(_element);
+					}
+					return;
 				}
-				_comment.style.display = "none";
-				__filtered_count++;
+				_element_unfilter(_element);
 			}
+
+			if (_match) {
+				_match_log(_match);
+				_element_filter(_element, _match);
+			}
+		});
+	}
+
+	// Extract the body text of a comment, excluding its nested replies
+	function _comment_text_get(_comment) {
+		const _body = __old_reddit
+			? _comment.querySelector(":scope > .entry .usertext-body .md")
+			: _comment.querySelector(':scope > div[slot="comment"]');
+		return _body ? _body.textContent.trim() : "";
+	}
+
+	// Hide, collapse or blur a matched element according to its category's display mode,
+	// or only mark and log it when an allowlist entry spares it
+	function _element_filter(_element, _match) {
+		const _category = _match.category;
+		const _mode = _match_mode_get(_match);
+		const _scope = _match.scope || "subtree";
+		const _reason = `${_match.reply ? "reply to " : ""}${__category_names[_category]} ${_match.rule}`;
+		const _id = String(++__element_id_counter);
+		// Record why the element is filtered so it can be re-evaluated, unfiltered and found by the log
+		_element.setAttribute("data-reddit-shield", _category);
+		_element.setAttribute("data-reddit-shield-rule", _match.rule);
+		_element.setAttribute("data-reddit-shield-mode", _mode);
+		_element.setAttribute("data-reddit-shield-scope", _scope);
+		_element.setAttribute("data-reddit-shield-id", _id);
+		if (_match.reply) {
+			_element.setAttribute("data-reddit-shield-reply", "");
+		}
+
+		// Filter log event for the popup (replies are marked so they are not counted as rule hits)
+		const _log_event = {
+			id: _id,
+			thing: _item_key_get(_element),
+			category: _category,
+			rule: _match.rule,
+			label: _match.label,
+			permalink: _permalink_get(_element),
+			time: Date.now()
+		};
+		if (_match.reply) {
+			_log_event.reply = true;
+		}
+
+		if (_match.allowed) {
+			// Spared items stay visible and are not counted, but the log says why
+			_element.setAttribute("data-reddit-shield-spared", _allow_reason_get(_match.allowed));
+			_log_event.allowed = _match.allowed;
+			__pending_log_events.push(_log_event);
+			return;
+		}
+
+		const _targets = _filter_targets_get(_element, _scope);
+		if (_mode === "collapse") {
+			// Replace the element (or the comment's own parts) with a one-line placeholder naming the matched rule
+			const _placeholder = document.createElement("div");
+			_placeholder.className = "reddit-shield-placeholder";
+			_placeholder.setAttribute("data-reddit-shield-for", _id);
+			const _label_element = document.createElement("span");
+			_label_element.textContent = `🛡️ Hidden by RedditShield: ${_reason}`;
+			const _show_button = document.createElement("button");
+			_show_button.type = "button";
+			_show_button.textContent = "Show anyway";
+			_show_button.addEventListener("click", function() {
+				_element_reveal(_element);
+			});
+			_placeholder.append(_label_element, _show_button);
+			// Inside a comment the placeholder takes the body's place (and its slot on new Reddit)
+			const _anchor = _targets[0] === _element ? _element : (_element.querySelector(_selectors_get().comment_body) || _targets[0]);
+			if (_anchor !== _element && _anchor.slot) {
+				_placeholder.slot = _anchor.slot;
+			}
+			_anchor.before(_placeholder);
+			_targets.forEach((_target) => _target.style.display = "none");
+		} else if (_mode === "blur") {
+			// Dim the element until it is clicked; the first click only reveals it
+			_targets.forEach((_target) => {
+				_target.classList.add("reddit-shield-blur");
+				_target.setAttribute("title", `Blurred by RedditShield: ${_reason} (click to show)`);
+				_target.addEventListener("click", function(_event) {
+					if (!_target.classList.contains("reddit-shield-blur")) {
+						return;
+					}
+					_event.preventDefault();
+					_event.stopPropagation();
+					_element_reveal(_element);
+				}, { capture: true, once: true });
+			});
+		} else {
+			_targets.forEach((_target) => _target.style.display = "none");
+		}
+
+		// Queue a log event for the popup's filter log
+		__pending_log_events.push(_log_event);
+
+		// Count each item once, even if Reddit re-renders its element
+		_count_add(_element);
+	}
+
+	// Get the elements a filter hides: the element itself, or in "body" scope only the
+	// comment's own parts (marked data-reddit-shield-part) so its nested replies stay visible
+	function _filter_targets_get(_element, _scope) {
+		if (_scope !== "body") {
+			return [_element];
+		}
+		const _parts = Array.from(_element.querySelectorAll(_selectors_get().comment_parts));
+		// Unknown comment markup falls back to hiding the whole subtree
+		if (_parts.length === 0) {
+			return [_element];
+		}
+		_parts.forEach((_part) => _part.setAttribute("data-reddit-shield-part", ""));
+		return _parts;
+	}
+
+	// Get the elements a filter was applied to (the marked parts, or the element itself)
+	function _filtered_targets_get(_element) {
+		const _parts = Array.from(_element.querySelectorAll(":scope > [data-reddit-shield-part]"));
+		return _parts.length > 0 ? _parts : [_element];
+	}
+
+	// Undo filtering of an element (its rule was removed or it now matches differently)
+	function _element_unfilter(_element) {
+		_element_reveal(_element);
+		_counted_map_get(_element).delete(_count_key_get(_element));
+		_element.querySelectorAll(":scope > [data-reddit-shield-part]").forEach((_part) => _part.removeAttribute("data-reddit-shield-part"));
+		_element.removeAttribute("data-reddit-shield");
+		_element.removeAttribute("data-reddit-shield-rule");
+		_element.removeAttribute("data-reddit-shield-mode");
+		_element.removeAttribute("data-reddit-shield-scope");
+		_element.removeAttribute("data-reddit-shield-reply");
+		_element.removeAttribute("data-reddit-shield-spared");
+		_element.removeAttribute("data-reddit-shield-id");
+	}
+
+	// Key a filtered element is counted under in the badge
+	function _count_key_get(_element) {
+		return _item_key_get(_element) || `element-${_element.getAttribute("data-reddit-shield-id")}`;
+	}
+
+	// Get the badge map a filtered element is counted in (hidden replies are counted apart)
+	function _counted_map_get(_element) {
+		return _element.hasAttribute("data-reddit-shield-reply") ? __counted_replies : __counted_items;
+	}
+
+	// Count a filtered element under its category (for the per-category breakdown)
+	function _count_add(_element) {
+		_counted_map_get(_element).set(_count_key_get(_element), _element.getAttribute("data-reddit-shield"));
+	}
+
+	// Get the Reddit thing id (t3_... for posts, t1_... for comments) of an element
+	function _item_key_get(_element) {
+		if (__old_reddit) {
+			return _element.getAttribute("data-fullname") || "";
+		}
+		return _element.getAttribute("thingid") || _element.id || _permalink_get(_element);
+	}
+
+	// Show a filtered element again (placeholder removed, blur cleared); it stays marked
+	function _element_reveal(_element) {
+		const _id = _element.getAttribute("data-reddit-shield-id");
+		const _placeholder = document.querySelector(`[data-reddit-shield-for="${_id}"]`);
+		if (_placeholder) {
+			_placeholder.remove();
+		}
+		_filtered_targets_get(_element).forEach((_target) => {
+			_target.style.display = "";
+			_target.classList.remove("reddit-shield-blur");
+			_target.removeAttribute("title");
+		});
+	}
+
+	// Extract an absolute permalink for a post or comment element
+	function _permalink_get(_element) {
+		const _permalink = _element.getAttribute(__old_reddit ? "data-permalink" : "permalink");
+		return _permalink ? new URL(_permalink, window.location.origin).href : "";
+	}
+
+	// Send queued filter events to the background worker's per-tab log
+	function _log_events_flush() {
+		if (__pending_log_events.length === 0) {
+			return;
+		}
+		const _events = __pending_log_events;
+		__pending_log_events = [];
+		chrome.runtime.sendMessage({
+			action: "logFilterEvents",
+			events: _events
+		}).catch(function(_error) {
+			// Silently handle errors (e.g., when background script is reloading)
 		});
 	}
 
-	// Update badge with current filtered count
+	// Handle unhide requests from the popup's filter log
+	function _log_request_handle(_request, _sender, _send_response) {
+		if (_request.action === "unhideItem") {
+			const _element = document.querySelector(`[data-reddit-shield-id="${_request.id}"]`);
+			if (!_element) {
+				_send_response({ status: 404, message: "Item is no longer on the page" });
+				return;
+			}
+			_element_reveal(_element);
+			_element.scrollIntoView({ block: "center" });
+			_send_response({ status: 200 });
+		}
+	}
+
+	// Update badge with current filtered count and its breakdown by category (replies hidden for their parent counted apart)
 	function _badge_update() {
+		// Hidden items per category, e.g. { subreddits: 28, keywords: 12 } (replies are counted apart)
+		const _categories = {};
+		__counted_items.forEach((_category) => {
+			_categories[_category] = (_categories[_category] || 0) + 1;
+		});
 		chrome.runtime.sendMessage({
 			action: 'updateBadge',
-			count: __filtered_count
+			count: __counted_items.size,
+			replies: __counted_replies.size,
+			categories: _categories
 		}).catch(function(_error) {
 			// Silently handle errors (e.g., when background script is reloading)
 		});
@@ -208,75 +862,113 @@ const cls_redditShieldContent = function(_options) {
 
 	// Get saved filtering options from storage
 	function _options_get_saved() {
-		// First check sync preference from local storage
-		chrome.storage.local.get(["enableSync"], function(_local_result) {
-			const _enable_sync = _local_result.enableSync !== undefined ? _local_result.enableSync : true;
-			// Determine which storage area to use
-			const _storage_area = _enable_sync ? chrome.storage.sync : chrome.storage.local;
-
-			// Get all filtering options from storage
-			_storage_area.get([
-				"hiddenUsers", "hiddenKeywords", "hiddenSubreddits", "hiddenDomains",
-				"loggingEnabled", "filterUsers", "filterKeywords", "filterSubreddits", "filterDomains",
-				"blockUsers", "blockKeywords", "blockSubreddits", "blockDomains"  // backward compatibility
-			], function(_result) {
-				_options_process(_result);
+		// The storage layer picks sync or local storage and reassembles sharded lists
+		__storage.load(__option_keys, function(_result) {
+			_subscriptions_get(function(_subscription_lists) {
+				_profile_get(function(_profile) {
+					_options_process(_result, _subscription_lists, _profile);
+				});
+			});
+		});
+	}
+
+	// Get the lists of enabled subscriptions, minus each subscription's override entries
+	function _subscriptions_get(_callback) {
+		chrome.storage.local.get(["subscriptions"], function(_local_result) {
+			const _subscriptions = (_local_result.subscriptions || []).filter((_subscription) => _subscription.enabled);
+			const _list_keys = _subscriptions.map((_subscription) => `subscriptionLists_${_subscription.id}`);
+
+			chrome.storage.local.get(_list_keys, function(_lists_result) {
+				const _merged = { users: [], keywords: [], subreddits: [], domains: [] };
+				_subscriptions.forEach((_subscription) => {
+					const _lists = _lists_result[`subscriptionLists_${_subscription.id}`] || {};
+					const _overrides = _subscription.overrides || [];
+
+					__rules.categories.forEach((_category) => {
+						// Overrides are compared after the same cleanup as the entries
+						const _overridden = new Set(_overrides.map((_line) => __rules.value_clean(_category, _line.trim())));
+						(_lists[_category] || []).forEach((_source) => {
+							const _value = __rules.value_clean(_category, __rules.entry_parse(_source).value);
+							if (!_overridden.has(_value)) {
+								_merged[_category].push(_source);
+							}
+						});
+					});
+				});
+				_callback(_merged);
 			});
 		});
 	}
 
-	// Process and apply filtering options
-	function _options_process(_result) {
-		// Clear existing filter sets
+	// Get the active profile (null when the default settings apply)
+	function _profile_get(_callback) {
+		chrome.storage.local.get(["profiles", "activeProfile"], function(_result) {
+			const _active_id = _result.activeProfile ? _result.activeProfile.id : "";
+			const _profile = (_result.profiles || []).find((_item) => _item.id === _active_id);
+			_callback(_profile || null);
+		});
+	}
+
+	// Parse list entries, dropping invalid and expired (temporary mute) entries
+	function _entries_active(_sources) {
+		return __rules.entries_parse(_sources).filter((_entry) => !_entry.error && !_entry.expired);
+	}
+
+	// Process and apply filtering options (personal lists merged with subscription lists
+	// and the active profile's lists; the profile also decides which categories are filtered)
+	function _options_process(_result, _subscription_lists = {}, _profile = null) {
+		// Combine personal entries with subscribed and profile entries at match time
+		const _profile_lists = _profile ? _profile.lists || {} : {};
+		const _sources = {};
+		__rules.categories.forEach((_category) => {
+			_sources[_category] = [
+				...(_result[__storage.category_keys[_category]] || []),
+				...(_subscription_lists[_category] || []),
+				...(_profile_lists[_category] || [])
+			];
+		});
+
+		// Clear existing filter maps
 		__user_bans.clear();
-		__keyword_bans.clear();
 		__subreddit_bans.clear();
 		__domain_bans.clear();
 
-		// Process hidden users list
-		if (_result.hiddenUsers) {
-			for (let _user of _result.hiddenUsers) {
-				// Clean user input (remove "u/" prefix if present)
-				let _cleaned_user = _user;
-				if (_cleaned_user.length >= 2 && _user.substring(0, 2) == "u/") {
-					_cleaned_user = _user.slice(2);
-				}
-				__user_bans.add(_cleaned_user);
-			}
+		// Process hidden users list (entries may carry an "@ scope" suffix)
+		for (let _entry of _entries_active(_sources.users)) {
+			// Normalize the name ("u/" prefix, profile URL, case); deleted authors never match
+			_bans_add(__user_bans, __rules.value_clean("users", _entry.value), _entry);
 		}
 
-		// Process hidden keywords list
-		if (_result.hiddenKeywords) {
-			for (let _keyword of _result.hiddenKeywords) {
-				// Only add non-empty keywords
-				if (_keyword.trim() != "") {
-					__keyword_bans.add(_keyword.toLowerCase());
-				}
-			}
-		}
+		// Process hidden keywords list into precompiled rules (invalid and expired rules are skipped)
+		__keyword_bans = __rules.keywords_compile(_sources.keywords).filter((_rule) => !_rule.error && !_rule.expired);
 
 		// Process hidden subreddits list
-		if (_result.hiddenSubreddits) {
-			for (let _subreddit of _result.hiddenSubreddits) {
-				// Clean subreddit input (remove "r/" prefix if present)
-				let _cleaned_subreddit = _subreddit;
-				if (_subreddit.length >= 2 && _subreddit.substring(0, 2) == "r/") {
-					_cleaned_subreddit = _subreddit.slice(2);
-				}
-				__subreddit_bans.add(_cleaned_subreddit.toLowerCase());
-			}
+		for (let _entry of _entries_active(_sources.subreddits)) {
+			// Clean subreddit input (remove "r/" prefix if present, lowercase)
+			_bans_add(__subreddit_bans, __rules.value_clean("subreddits", _entry.value), _entry);
 		}
 
 		// Process hidden domains list
-		if (_result.hiddenDomains) {
-			for (let _domain of _result.hiddenDomains) {
-				// Extract domain from URL using regex
-				const _pattern = /^(?:https?:\/\/)?(?:www\.)?([^\/\?#]+).*$/i;
-				const _match = _domain.replace(_pattern, "$1") || "";
-				__domain_bans.add(_match.toLowerCase());
-			}
+		for (let _entry of _entries_active(_sources.domains)) {
+			// Extract domain from URL
+			_bans_add(__domain_bans, __rules.value_clean("domains", _entry.value), _entry);
 		}
 
+		// Process allowlists (personal only) with the same cleanup as the filter lists
+		__user_allows.clear();
+		__subreddit_allows.clear();
+		__domain_allows.clear();
+		for (let _entry of _entries_active(_result.allowedUsers || [])) {
+			_bans_add(__user_allows, __rules.value_clean("users", _entry.value), _entry);
+		}
+		for (let _entry of _entries_active(_result.allowedSubreddits || [])) {
+			_bans_add(__subreddit_allows, __rules.value_clean("subreddits", _entry.value), _entry);
+		}
+		for (let _entry of _entries_active(_result.allowedDomains || [])) {
+			_bans_add(__domain_allows, __rules.value_clean("domains", _entry.value), _entry);
+		}
+		__keyword_allows = __rules.keywords_compile(_result.allowedKeywords || []).filter((_rule) => !_rule.error && !_rule.expired);
+
 		// Set preference flags from storage (with backward compatibility)
 		if (_result.loggingEnabled !== undefined) {
 			__logging_enabled = _result.loggingEnabled;
@@ -291,6 +983,9 @@ const cls_redditShieldContent = function(_options) {
 		} else if (_result.blockKeywords !== undefined) {
 			__filter_keywords = _result.blockKeywords;  // backward compatibility
 		}
+		if (_result.filterCommentKeywords !== undefined) {
+			__filter_comment_keywords = _result.filterCommentKeywords;
+		}
 		if (_result.filterSubreddits !== undefined) {
 			__filter_subreddits = _result.filterSubreddits;
 		} else if (_result.blockSubreddits !== undefined) {
@@ -302,40 +997,152 @@ const cls_redditShieldContent = function(_options) {
 			__filter_domains = _result.blockDomains;  // backward compatibility
 		}
 
-		// Check if URL has changed (navigation)
+		// The active profile's categories replace the global toggles (comment keywords are
+		// keyword rules too, so a profile without keywords doesn't filter comments by them)
+		if (_profile && _profile.categories) {
+			__filter_users = _profile.categories.users === true;
+			__filter_keywords = _profile.categories.keywords === true;
+			__filter_comment_keywords = __filter_comment_keywords && __filter_keywords;
+			__filter_subreddits = _profile.categories.subreddits === true;
+			__filter_domains = _profile.categories.domains === true;
+		}
+
+		// Show or remove the inline shield controls
+		__inline_controls_enabled = _result.showInlineControls !== false;
+		if (!__inline_controls_enabled) {
+			_inline_controls_hide();
+		}
+
+		// Set post attribute filters (flair rules compile like keyword rules)
+		__flair_bans = __rules.keywords_compile(_result.hiddenFlairs || []).filter((_rule) => !_rule.error && !_rule.expired);
+		__filter_flairs = _result.filterFlairs === true;
+		__filter_nsfw = _result.filterNsfw === true;
+		__filter_spoilers = _result.filterSpoilers === true;
+		__filter_post_types = _result.filterPostTypes === true;
+		__hidden_post_types = _result.hiddenPostTypes || [];
+		__min_score = _result.filterMinScore === true && Number.isFinite(_result.minScore) ? _result.minScore : null;
+		__min_comments = _result.filterMinComments === true && Number.isFinite(_result.minComments) ? _result.minComments : null;
+
+		// Set how filtered comments treat their replies (whole subtree by default)
+		__thread_mode = ["body", "replies"].includes(_result.threadMode) ? _result.threadMode : "subtree";
+
+		// Set display modes per category (hide by default)
+		__display_modes = {
+			users: _result.displayModeUsers || "hide",
+			keywords: _result.displayModeKeywords || "hide",
+			subreddits: _result.displayModeSubreddits || "hide",
+			domains: _result.displayModeDomains || "hide",
+			flairs: _result.displayModeFlairs || "hide",
+			attributes: _result.displayModeAttributes || "hide"
+		};
+
+		// Options changed - every element on the page is evaluated again, so removed
+		// rules unhide content and the badge count drops right away
+		__options_loaded = true;
+		_navigation_check();
+		_elements_reevaluate();
+
+		// Update badge with new count and report new filter events
+		_badge_update();
+		_log_events_flush();
+	}
+
+	// Reset the badge count when the page navigated since the last check
+	function _navigation_check() {
 		if (window.location.href !== __current_url) {
-			// Page navigation detected - reset counter
-			__filtered_count = 0;
+			__counted_items.clear();
+			__counted_replies.clear();
 			__current_url = window.location.href;
 		}
+	}
+
+	// Evaluate posts and comments that were not yet checked against the current options
+	function _elements_process(_elements) {
+		_navigation_check();
+
+		const _unprocessed = _elements.filter((_el) => _el.isConnected && !__processed_elements.has(_el));
+		_unprocessed.forEach((_el) => __processed_elements.add(_el));
 
 		// Apply the filtering with current settings
-		_posts_ban(__subreddit_bans, __keyword_bans, __user_bans, __domain_bans);
-		_comments_ban(__user_bans);
+		const _selectors = _selectors_get();
+		const _posts = _unprocessed.filter((_el) => _el.matches(_selectors.posts));
+		const _comments = _unprocessed.filter((_el) => _el.matches(_selectors.comments));
+		_posts_ban(__subreddit_bans, __keyword_bans, __user_bans, __domain_bans, _posts);
+		_comments_ban(__user_bans, __keyword_bans, _comments);
 
-		// Update badge with new count
+		// Update badge with new count and report new filter events
 		_badge_update();
+		_log_events_flush();
+	}
+
+	// Check whether a storage key affects filtering (ignores statistics, logs, etc.)
+	function _option_key_is(_key) {
+		return __storage.list_key_is(_key)
+			|| __option_keys.includes(_key)
+			|| _key === "enableSync"
+			|| _key === "subscriptions"
+			|| _key === "profiles"
+			|| _key === "activeProfile"
+			|| _key.startsWith("subscriptionLists_");
+	}
+
+	// Reload the cached options when a key they depend on changes
+	function _storage_changes_observe() {
+		let _debounce_timeout = null;
+
+		chrome.storage.onChanged.addListener(function(_changes, _area_name) {
+			if (_area_name === "session" || !Object.keys(_changes).some(_option_key_is)) {
+				return;
+			}
+
+			// A save writes several shards at once - reload after the last one
+			if (_debounce_timeout) {
+				clearTimeout(_debounce_timeout);
+			}
+			_debounce_timeout = setTimeout(_options_get_saved, 100);
+		});
 	}
 
 	// Observe DOM changes for dynamic content loading
 	function _dom_changes_observe() {
 		let _debounce_timeout = null;
+		let _pending_elements = new Set();
 
 		// Create mutation observer to watch for new content
 		const _observer = new MutationObserver(function(_mutations) {
-			// Check if any new nodes were added to the DOM
-			if (_mutations.some((_mutation) => _mutation.addedNodes.length)) {
-				// Clear existing timeout
-				if (_debounce_timeout) {
-					clearTimeout(_debounce_timeout);
-				}
+			const _selectors = _selectors_get();
+			const _selector = `${_selectors.posts}, ${_selectors.comments}`;
 
-				// Debounce the processing to avoid rapid successive calls
-				_debounce_timeout = setTimeout(() => {
-					// Reload options and reapply filtering when new content appears
-					_options_get_saved();
-				}, 100); // 100ms debounce
+			// Collect posts and comments inside the added nodes
+			_mutations.forEach((_mutation) => {
+				_mutation.addedNodes.forEach((_node) => {
+					if (_node.nodeType !== Node.ELEMENT_NODE) {
+						return;
+					}
+					if (_node.matches(_selector)) {
+						_pending_elements.add(_node);
+					}
+					_node.querySelectorAll(_selector).forEach((_el) => _pending_elements.add(_el));
+				});
+			});
+
+			// Elements added before the options load are covered by the first full scan
+			if (_pending_elements.size === 0 || !__options_loaded) {
+				_pending_elements.clear();
+				return;
 			}
+
+			// Clear existing timeout
+			if (_debounce_timeout) {
+				clearTimeout(_debounce_timeout);
+			}
+
+			// Debounce the processing to avoid rapid successive calls
+			_debounce_timeout = setTimeout(() => {
+				const _elements = Array.from(_pending_elements);
+				_pending_elements = new Set();
+				_elements_process(_elements);
+			}, 100); // 100ms debounce
 		});
 
 		// Configure observer to watch for child additions in entire document
@@ -360,21 +1167,18 @@ const cls_redditShieldContent = function(_options) {
 				}
 
 				// Collect all users in the current thread
-				let _users_to_ban = [];
-				_users_to_ban = _cleanup_get_users();
+				const _found_users = _cleanup_get_users();
 
 				if (__logging_enabled) {
 					console.log(
-						`%c🧹 CLEANUP %cFound ${_users_to_ban.length} users to filter`,
+						`%c🧹 CLEANUP %cFound ${_found_users.length} users to preview`,
 						'color: #AA96DA; font-weight: bold;',
 						__log_styles.cleanup
 					);
 				}
 
-				// Send collected users back to popup
-				_send_response({ status: 200, message: _users_to_ban });
-				// Immediately hide comments from collected users
-				_comments_ban(new Set(_users_to_ban));
+				// Send the preview back to popup (saving the chosen users filters them)
+				_send_response({ status: 200, message: _found_users });
 			}
 		}
 
@@ -427,36 +1231,74 @@ const cls_redditShieldContent = function(_options) {
 			// Send collected subreddits back to popup
 			_send_response({ status: 200, message: _found_subreddits });
 		}
+
+		// Process domains cleanup requests (remove from current page)
+		if (_request.action === "cleanupDomains") {
+			if (__logging_enabled) {
+				console.log(
+					`%c🧹 CLEANUP %cDomains cleanup initiated`,
+					'color: #AA96DA; font-weight: bold;',
+					__log_styles.cleanup
+				);
+			}
+
+			// Collect the domain entries matching links on the current page
+			const _found_domains = _cleanup_get_domains();
+
+			if (__logging_enabled) {
+				console.log(
+					`%c🧹 CLEANUP %cFound ${_found_domains.length} domains on page`,
+					'color: #AA96DA; font-weight: bold;',
+					__log_styles.cleanup
+				);
+			}
+
+			// Send collected domains back to popup
+			_send_response({ status: 200, message: _found_domains });
+		}
 	}
 
-	// Get all users from thread for filtering
+	// Get the distinct authors of the thread with their comment counts, OP first
 	function _cleanup_get_users() {
-		// Select all posts and comments in Reddit
-		const _posts_and_comments = document.querySelectorAll("shreddit-post, shreddit-comment");
-
-		// Collect all unique authors not already filtered
-		return Array.from(_posts_and_comments).reduce((_accumulated_bans, _comment) => {
-			const _author = _comment.getAttribute("author");
-			// Only add authors that aren't already in the filter list
-			if (_author && !__user_bans.has(_author)) {
-				_accumulated_bans.push(_author);
+		const _selectors = _selectors_get();
+		const _post = document.querySelector(_selectors.posts);
+		const _op = _post ? _author_get(_post) : null;
+		const _found_users = new Map();
+
+		// The OP is listed even without comments so the popup can show it as excluded
+		if (_op) {
+			_found_users.set(_op, { user: _op, comments: 0, op: true });
+		}
+
+		document.querySelectorAll(_selectors.comments).forEach((_comment) => {
+			const _author = _author_get(_comment);
+			if (!_author) {
+				return;
+			}
+			if (!_found_users.has(_author)) {
+				_found_users.set(_author, { user: _author, comments: 0, op: false });
 			}
-			return _accumulated_bans;
-		}, []);
+			_found_users.get(_author).comments++;
+		});
+
+		// Only offer authors that aren't already in the filter list or deleted
+		return Array.from(_found_users.values())
+			.filter((_found) => _user_key_get(_found.user) !== "" && !__user_bans.has(_user_key_get(_found.user)))
+			.sort((_a, _b) => (_b.op - _a.op) || (_b.comments - _a.comments));
 	}
 
 	// Get all keywords from current page titles
 	function _cleanup_get_keywords() {
 		// Get all post elements in Reddit
-		const _posts = document.querySelectorAll("shreddit-post");
+		const _posts = document.querySelectorAll(_selectors_get().posts);
 		const _found_keywords = new Set();
 
-		// Iterate through filtered keywords to see which appear on the page
-		__keyword_bans.forEach((_keyword) => {
+		// Iterate through keyword rules to see which match on the page
+		__keyword_bans.forEach((_rule) => {
 			Array.from(_posts).forEach((_post) => {
-				const _title = _post.getAttribute("post-title");
-				if (_title && _title.toLowerCase().includes(_keyword.toLowerCase())) {
-					_found_keywords.add(_keyword.toLowerCase());
+				const _title = _post_data_get(_post).title;
+				if (_title && _rule.regex.test(_title)) {
+					_found_keywords.add(_rule.source);
 				}
 			});
 		});
@@ -467,25 +1309,174 @@ const cls_redditShieldContent = function(_options) {
 	// Get all subreddits from current page
 	function _cleanup_get_subreddits() {
 		// Get all post elements in Reddit
-		const _posts = document.querySelectorAll("shreddit-post");
+		const _posts = document.querySelectorAll(_selectors_get().posts);
 		const _found_subreddits = new Set();
 
-		// Iterate through filtered subreddits to see which appear on the page
-		__subreddit_bans.forEach((_subreddit) => {
-			Array.from(_posts).forEach((_post) => {
-				const _subreddit_full = _post.getAttribute("subreddit-prefixed-name");
-				if (_subreddit_full) {
-					const _subreddit_name = _subreddit_full.slice(2).toLowerCase();
-					if (_subreddit_name === _subreddit.toLowerCase()) {
-						_found_subreddits.add(_subreddit.toLowerCase());
-					}
-				}
-			});
+		// Collect the list entries of filtered subreddits that appear on the page
+		Array.from(_posts).forEach((_post) => {
+			const _subreddit_name = _post_data_get(_post).subreddit.toLowerCase();
+			const _entries = __subreddit_bans.get(_subreddit_name) || [];
+			_entries.forEach((_entry) => _found_subreddits.add(_entry.source));
 		});
 
 		return Array.from(_found_subreddits);
 	}
 
+	// Get all domain entries that match links on the current page
+	function _cleanup_get_domains() {
+		// Get all post elements in Reddit
+		const _posts = document.querySelectorAll(_selectors_get().posts);
+		const _found_domains = new Set();
+
+		// Every entry covering a post's link counts, not only the first match
+		Array.from(_posts).forEach((_post) => {
+			_post_domain_keys_get(_post_data_get(_post)).forEach((_key) => {
+				(__domain_bans.get(_key) || []).forEach((_entry) => _found_domains.add(_entry.source));
+			});
+		});
+
+		return Array.from(_found_domains);
+	}
+
+	// Create the floating shield button and its action menu, shared by all posts and comments
+	function _inline_controls_create() {
+		__inline_button = document.createElement("button");
+		__inline_button.type = "button";
+		__inline_button.className = "reddit-shield-inline-button";
+		__inline_button.textContent = "🛡️";
+		__inline_button.title = "RedditShield: filter this";
+		__inline_button.addEventListener("click", function(_event) {
+			_event.preventDefault();
+			_event.stopPropagation();
+			_inline_menu_toggle();
+		});
+
+		__inline_menu = document.createElement("div");
+		__inline_menu.className = "reddit-shield-inline-menu";
+
+		document.body.append(__inline_button, __inline_menu);
+		document.addEventListener("mouseover", _inline_target_track);
+		document.addEventListener("click", function(_event) {
+			// Close the menu on any click outside of it
+			if (__inline_menu.classList.contains("open") && !__inline_menu.contains(_event.target)) {
+				_inline_menu_close();
+			}
+		});
+	}
+
+	// Move the shield button to the post or comment under the mouse
+	function _inline_target_track(_event) {
+		if (!__inline_controls_enabled || __inline_menu.classList.contains("open")) {
+			return;
+		}
+		if (__inline_button.contains(_event.target) || __inline_menu.contains(_event.target)) {
+			return;
+		}
+
+		const _selectors = _selectors_get();
+		const _item = _event.target.closest ? _event.target.closest(`${_selectors.posts}, ${_selectors.comments}`) : null;
+		if (!_item || _item.style.display === "none") {
+			_inline_controls_hide();
+			return;
+		}
+		if (_item === __inline_target) {
+			return;
+		}
+
+		// Pin the button inside the item's top-right corner (nested comments get their own)
+		const _rect = _item.getBoundingClientRect();
+		__inline_target = _item;
+		__inline_button.style.top = `${_rect.top + window.scrollY + 4}px`;
+		__inline_button.style.left = `${_rect.right + window.scrollX - 32}px`;
+		__inline_button.classList.add("visible");
+	}
+
+	// Hide the shield button and its menu
+	function _inline_controls_hide() {
+		if (!__inline_button) {
+			return;
+		}
+		_inline_menu_close();
+		__inline_button.classList.remove("visible");
+		__inline_target = null;
+	}
+
+	// Open the action menu for the current target, or close it when open
+	function _inline_menu_toggle() {
+		if (__inline_menu.classList.contains("open")) {
+			_inline_menu_close();
+			return;
+		}
+		if (!__inline_target) {
+			return;
+		}
+
+		__inline_menu.textContent = "";
+		_inline_actions_get(__inline_target).forEach((_action) => {
+			const _action_button = document.createElement("button");
+			_action_button.type = "button";
+			_action_button.textContent = _action.label;
+			_action_button.addEventListener("click", function(_event) {
+				_event.preventDefault();
+				_event.stopPropagation();
+				_inline_action_run(_action, _action_button);
+			});
+			__inline_menu.appendChild(_action_button);
+		});
+
+		__inline_menu.style.top = `${parseFloat(__inline_button.style.top) + 28}px`;
+		__inline_menu.style.left = `${parseFloat(__inline_button.style.left) + 28}px`;
+		__inline_menu.classList.add("open");
+	}
+
+	// Close the action menu
+	function _inline_menu_close() {
+		if (__inline_menu) {
+			__inline_menu.classList.remove("open");
+		}
+	}
+
+	// List the "hide user / subreddit / domain" actions available for a post or comment
+	function _inline_actions_get(_element) {
+		const _actions = [];
+		const _is_post = _element.matches(_selectors_get().posts);
+		const _post_data = _is_post ? _post_data_get(_element) : null;
+
+		const _author = _author_get(_element);
+		if (_user_key_get(_author)) {
+			_actions.push({ category: "users", value: _author, label: `Hide user u/${_author}` });
+		}
+
+		// Comments belong to the thread's subreddit
+		const _subreddit = _is_post ? _post_data.subreddit : _page_context_get("").page;
+		if (_subreddit && _subreddit !== "home") {
+			_actions.push({ category: "subreddits", value: _subreddit, label: `Hide subreddit r/${_subreddit}` });
+		}
+
+		if (_is_post && _post_data.domain && !_post_data.domain.startsWith("self.")) {
+			_actions.push({ category: "domains", value: _post_data.domain, label: `Hide domain ${_post_data.domain}` });
+		}
+
+		return _actions;
+	}
+
+	// Add the chosen entry through the background worker (same list keys as the popup);
+	// the storage change then re-evaluates the page, which filters the item
+	function _inline_action_run(_action, _action_button) {
+		_action_button.disabled = true;
+		chrome.runtime.sendMessage({
+			action: "addRule",
+			category: _action.category,
+			value: _action.value
+		}).then(function(_response) {
+			const _messages = { added: "Added ✓", exists: "Already in your list" };
+			_action_button.textContent = _messages[_response && _response.status] || "Could not add";
+			setTimeout(_inline_controls_hide, 1000);
+		}).catch(function(_error) {
+			_action_button.textContent = "Could not add";
+		});
+	}
+
 	// Public object for future extensibility
 	var pub = {
 		// Public methods can be added here in the future
@@ -0,0 +1,608 @@
+/*
+ * RedditShield Rule Parser
+ *
+ * Shared between the content script and the popup so that both sides agree on the
+ * filter rule syntax. The content script uses it to compile rules for matching and
+ * the popup uses it to validate user input as it is typed.
+ *
+ * Keyword rule syntax:
+ * - /pattern/flags   Regular expression, e.g. /^aita\b/i
+ * - "exact phrase"   Case-insensitive substring match, no wildcards
+ * - plain text       Case-insensitive whole-word match, "*" acts as a wildcard:
+ *                    a standalone "*" matches any text ("AITA for *"), an attached
+ *                    one matches the rest of a word ("elect*")
+ *
+ * Scope syntax (any list):
+ * - entry @ r/sub r/other   Apply the entry only in the listed subreddits
+ * - entry @ !r/sub          Apply the entry everywhere except the listed subreddits
+ * - entry @ home r/all      "home", "r/all" and "r/popular" name the feed pages
+ * A scope token matches the subreddit being browsed; on feeds that mix communities
+ * (home, r/all, r/popular, search, user pages) it matches each post's own subreddit.
+ *
+ * Expiry syntax (any list):
+ * - entry ~7d               Temporary mute; units are m(inutes), h(ours), d(ays), w(eeks)
+ * - entry ~2025-10-15T18:00Z Absolute expiry in UTC; the popup rewrites relative
+ *                           durations into this form when saving so they do not restart
+ * Expired entries are ignored when matching and pruned by the background worker.
+ *
+ * User syntax:
+ * - name, u/name, /u/name, /user/name or a profile URL (reddit.com/user/name/...)
+ * Usernames match case-insensitively. Deleted and removed authors have no name, so
+ * "[deleted]" entries never match; the popup flags them, invalid names and duplicates.
+ *
+ * Domain syntax:
+ * - example.com             Matches example.com and every subdomain (news.example.com)
+ * - youtube.com/shorts      Matches links under that path prefix only
+ * Entries may be pasted as full URLs; scheme, "www.", port, query and fragment are dropped.
+ *
+ * Schedule syntax (profiles):
+ * - Mon-Fri 09:00-17:00     Days (mon..sun, ranges "Mon-Fri", lists "Sat,Sun", or
+ *                           "daily", "weekdays", "weekends") and a local time range
+ * - Fri 20:00-02:00         A range ending before it starts runs past midnight
+ *
+ * List files (import, export and subscriptions):
+ * - JSON: { "format": "reddit-shield", "version": 1, "lists": {...}, "preferences": {...} }
+ * - Plain text: one entry per line, "# comments", optional [users] / [keywords] /
+ *   [subreddits] / [domains] section headers; "u/" and "r/" lines are routed to the
+ *   users and subreddits lists automatically
+ *
+ * Rules are precompiled into RegExp objects once per options load, so matching a
+ * title is a single regex test per rule.
+ *
+ * @version 1.51
+ * @author Vanco Ordanoski <vordan@infoproject.biz>
+ * @date 2025-10-08
+ */
+const cls_redditShieldRules = function(_options) {
+	// Letters, digits and underscore count as word characters for whole-word matching
+	const __word_char = "[\\p{L}\\p{N}_]";
+
+	// Path segments considered when matching domain entries with a path prefix
+	const __domain_path_depth = 6;
+
+	// Longest selection turned into a keyword rule
+	const __keyword_text_length = 100;
+
+	// Reddit usernames: 3 to 20 letters, digits, "-" or "_"
+	const __user_name_pattern = /^[a-z0-9_-]{3,20}$/i;
+
+	// Placeholder names Reddit shows for deleted and removed authors
+	const __user_deleted_pattern = /^\[(deleted|removed)\]$/i;
+
+	// Day names in Date.getDay() order, and the day groups a schedule may name
+	const __day_names = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+	const __day_groups = { daily: [0, 1, 2, 3, 4, 5, 6], weekdays: [1, 2, 3, 4, 5], weekends: [0, 6] };
+	const __week_minutes = 7 * 24 * 60;
+
+	// Escape regex metacharacters in literal text
+	function _regex_escape(_text) {
+		return _text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+	}
+
+	// Parse a single scope token ("r/sub", "!r/sub", "home") or return null if invalid
+	function _scope_token_parse(_token) {
+		const _match = _token.match(/^(!?)(?:\/?r\/([a-z0-9_+]+)|(home))$/i);
+		if (!_match) {
+			return null;
+		}
+		return { exclude: _match[1] === "!", name: (_match[2] || _match[3]).toLowerCase() };
+	}
+
+	// Filter categories, in display order
+	const __categories = ["users", "keywords", "subreddits", "domains"];
+
+	// Version of the JSON list file format written by list_file_build
+	const __file_version = 1;
+
+	// Duration units for relative expiries, in milliseconds
+	const __duration_units = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+	// Matches a trailing "~7d" or "~2025-10-15T18:00Z" expiry token
+	const __expiry_pattern = /\s~(\d+[mhdw]|\d{4}-\d{2}-\d{2}T\d{2}:\d{2}Z)$/i;
+
+	// Convert an expiry token (without "~") into a timestamp, relative tokens count from now
+	function _expiry_parse(_token) {
+		const _relative_match = _token.match(/^(\d+)([mhdw])$/i);
+		if (_relative_match) {
+			return Date.now() + parseInt(_relative_match[1], 10) * __duration_units[_relative_match[2].toLowerCase()];
+		}
+		return Date.parse(_token);
+	}
+
+	// Remove a trailing expiry token from text, returning the remaining text and the expiry
+	function _expiry_split(_text) {
+		const _match = _text.match(__expiry_pattern);
+		if (!_match) {
+			return { text: _text, expires: null };
+		}
+		return { text: _text.slice(0, _match.index).trim(), expires: _expiry_parse(_match[1]) };
+	}
+
+	// Rewrite a relative "~7d" expiry into an absolute UTC timestamp so it is stored stably
+	function _expiry_resolve(_source) {
+		return _source.replace(/(\s~)(\d+[mhdw])(?=\s|$)/i, function(_all, _prefix, _token) {
+			return _prefix + new Date(_expiry_parse(_token)).toISOString().slice(0, 16) + "Z";
+		});
+	}
+
+	// Format the time left until an expiry timestamp, e.g. "6d 23h"
+	function _remaining_format(_expires) {
+		const _left = _expires - Date.now();
+		if (_left <= 0) {
+			return "expired";
+		}
+
+		const _days = Math.floor(_left / __duration_units.d);
+		const _hours = Math.floor((_left % __duration_units.d) / __duration_units.h);
+		const _minutes = Math.floor((_left % __duration_units.h) / __duration_units.m);
+		if (_days > 0) {
+			return `${_days}d ${_hours}h`;
+		}
+		return _hours > 0 ? `${_hours}h ${_minutes}m` : `${Math.max(1, _minutes)}m`;
+	}
+
+	// Split an entry into its value, optional "@ scope" suffix and optional "~expiry"
+	function _entry_parse(_source) {
+		const _text = _source.trim();
+		const _entry = { source: _text, value: _text, scope: null, expires: null, expired: false, error: null };
+
+		// The expiry may come last ("spez @ r/pics ~7d") or before the scope ("spez ~7d @ r/pics")
+		const _expiry = _expiry_split(_text);
+		_entry.value = _expiry.text;
+		_entry.expires = _expiry.expires;
+		_entry_scope_split(_entry);
+		if (_entry.expires === null) {
+			const _value_expiry = _expiry_split(_entry.value);
+			_entry.value = _value_expiry.text;
+			_entry.expires = _value_expiry.expires;
+		}
+
+		if (_entry.expires !== null) {
+			if (isNaN(_entry.expires)) {
+				_entry.error = "Invalid expiry date";
+			} else {
+				_entry.expired = _entry.expires <= Date.now();
+			}
+		}
+		return _entry;
+	}
+
+	// Split the "@ scope" suffix off an entry's value
+	function _entry_scope_split(_entry) {
+		const _text = _entry.value;
+		const _at_index = _text.search(/\s@\s[^@]*$/);
+		if (_at_index === -1) {
+			return;
+		}
+
+		const _scope_tokens = _text.slice(_at_index).trim().slice(1).split(/[\s,]+/).filter((_token) => _token);
+		const _parsed_tokens = _scope_tokens.map(_scope_token_parse);
+		if (_scope_tokens.length === 0 || _parsed_tokens.includes(null)) {
+			// A regex literal or quoted phrase may legitimately contain " @ "
+			if (!/^\/.+\/[a-z]*$/.test(_text) && !/^".*"$/.test(_text)) {
+				_entry.error = "Invalid scope, use \"@ r/sub\", \"@ !r/sub\" or \"@ home\"";
+			}
+			return;
+		}
+
+		_entry.value = _text.slice(0, _at_index).trim();
+		_entry.scope = {
+			include: _parsed_tokens.filter((_token) => !_token.exclude).map((_token) => _token.name),
+			exclude: _parsed_tokens.filter((_token) => _token.exclude).map((_token) => _token.name)
+		};
+	}
+
+	// Parse a list of entries, skipping empty lines
+	function _entries_parse(_sources) {
+		const _entries = [];
+		for (let _source of _sources || []) {
+			if (typeof _source !== "string" || _source.trim() === "") {
+				continue;
+			}
+			_entries.push(_entry_parse(_source));
+		}
+		return _entries;
+	}
+
+	// Check whether a scope applies in the given page context
+	// _context: { page: "home" | "all" | "popular" | subreddit | "", feed: boolean, subreddit: item subreddit }
+	function _scope_matches(_scope, _context) {
+		if (!_scope) {
+			return true;
+		}
+
+		const _item_subreddit = (_context.subreddit || "").toLowerCase();
+		const _token_matches = (_name) => _name === _context.page || (_context.feed && _name === _item_subreddit);
+
+		if (_scope.exclude.some(_token_matches)) {
+			return false;
+		}
+		return _scope.include.length === 0 || _scope.include.some(_token_matches);
+	}
+
+	// Clean an entry value for its category (prefixes, URLs, case)
+	function _value_clean(_category, _value) {
+		if (_category === "users") {
+			// Usernames are case-insensitive
+			return _user_name_get(_value).toLowerCase();
+		}
+		if (_category === "subreddits") {
+			// Remove "r/" prefix if present
+			const _subreddit = _value.length >= 2 && _value.substring(0, 2) == "r/" ? _value.slice(2) : _value;
+			return _subreddit.toLowerCase();
+		}
+		if (_category === "domains") {
+			// Reduce a URL to "host" or "host/path" (no scheme, www, port, query or trailing slash)
+			const _match = _value.trim().match(/^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:www\.)?(?:\*?\.)?([^\/\?#]+)([^\?#]*)/i);
+			if (!_match) {
+				return _value.toLowerCase();
+			}
+			const _host = _match[1].replace(/:\d+$/, "").replace(/\.$/, "");
+			const _path = _match[2].replace(/\/+$/, "");
+			return (_host + _path).toLowerCase();
+		}
+		return _value;
+	}
+
+	// Lookup keys for a link, most specific first: every host suffix ("news.example.com",
+	// "example.com", "com"), each followed by every path prefix and then alone, so a
+	// "example.com" entry also covers subdomains and "youtube.com/shorts" covers that path
+	function _domain_keys(_url) {
+		const _clean = _value_clean("domains", _url || "");
+		if (_clean === "") {
+			return [];
+		}
+		const _slash = _clean.indexOf("/");
+		const _host = _slash === -1 ? _clean : _clean.slice(0, _slash);
+		const _segments = _slash === -1 ? [] : _clean.slice(_slash + 1).split("/").filter(Boolean).slice(0, __domain_path_depth);
+		const _labels = _host.split(".");
+
+		const _keys = [];
+		for (let _label_index = 0; _label_index < _labels.length; _label_index++) {
+			const _suffix = _labels.slice(_label_index).join(".");
+			for (let _depth = _segments.length; _depth > 0; _depth--) {
+				_keys.push(`${_suffix}/${_segments.slice(0, _depth).join("/")}`);
+			}
+			_keys.push(_suffix);
+		}
+		return _keys;
+	}
+
+	// Clean the value part of a raw list line, keeping its scope and expiry suffixes
+	// (usernames keep the case they were written in)
+	function _source_clean(_category, _source) {
+		const _entry = _entry_parse(_source);
+		if (_entry.error) {
+			return _entry.source;
+		}
+		const _value = _category === "users" ? _user_name_get(_entry.value) || _entry.value : _value_clean(_category, _entry.value);
+		return _value + _entry.source.slice(_entry.value.length);
+	}
+
+	// Extract the name from "name", "u/name", "/u/name", "/user/name" or a profile URL,
+	// keeping its case; deleted and removed authors give ""
+	function _user_name_get(_value) {
+		let _name = (_value || "").trim();
+		const _url_match = _name.match(/^(?:[a-z]+:\/\/)?(?:[a-z0-9-]+\.)*reddit\.com\/(?:u|user)\/([^\/?#\s]+)/i);
+		if (_url_match) {
+			_name = _url_match[1];
+		} else {
+			_name = _name.replace(/^\/?(?:u|user)\//i, "").replace(/\/+$/, "");
+		}
+		return __user_deleted_pattern.test(_name) ? "" : _name;
+	}
+
+	// Explain why a users list value can never match, or return null
+	function _user_error_get(_value) {
+		const _name = _user_name_get(_value);
+		if (_name === "" && __user_deleted_pattern.test(_value.trim().replace(/^\/?(?:u|user)\//i, ""))) {
+			return "Deleted and removed authors have no name and can never match";
+		}
+		if (!__user_name_pattern.test(_name)) {
+			return "Not a Reddit username (3-20 letters, digits, - or _)";
+		}
+		return null;
+	}
+
+	// Parse users list lines, flagging entries that can never match and repeated users
+	function _users_parse(_sources) {
+		const _seen = new Map();
+		return _entries_parse(_sources).map((_entry) => {
+			if (_entry.error) {
+				return _entry;
+			}
+			_entry.error = _user_error_get(_entry.value);
+			if (_entry.error) {
+				return _entry;
+			}
+
+			// The same user with the same scope and expiry is a duplicate
+			const _key = (_value_clean("users", _entry.value) + _entry.source.slice(_entry.value.length)).toLowerCase();
+			if (_seen.has(_key)) {
+				_entry.error = `Duplicate of "${_seen.get(_key)}"`;
+			} else {
+				_seen.set(_key, _entry.source);
+			}
+			return _entry;
+		});
+	}
+
+	// Parse an exported JSON file or a plain-text list into per-category lists
+	function _list_file_parse(_text, _default_category) {
+		const _parsed = { lists: {}, preferences: {}, error: null };
+		const _trimmed = (_text || "").trim();
+
+		// JSON export format (or a bare JSON array for the default category); a leading
+		// "[users]" section header is plain text
+		if (_trimmed.startsWith("{") || /^\[\s*("|\])/.test(_trimmed)) {
+			let _json = null;
+			try {
+				_json = JSON.parse(_trimmed);
+			} catch (_err) {
+				_parsed.error = `Invalid JSON: ${_err.message}`;
+				return _parsed;
+			}
+
+			if (Array.isArray(_json)) {
+				_parsed.lists[_default_category] = _json.filter((_line) => typeof _line === "string");
+			} else if (_json.format !== "reddit-shield" || typeof _json.lists !== "object") {
+				_parsed.error = "Not a RedditShield export file";
+				return _parsed;
+			} else if (_json.version > __file_version) {
+				_parsed.error = `Export file version ${_json.version} is newer than this extension supports`;
+				return _parsed;
+			} else {
+				__categories.forEach((_category) => {
+					if (Array.isArray(_json.lists[_category])) {
+						_parsed.lists[_category] = _json.lists[_category].filter((_line) => typeof _line === "string");
+					}
+				});
+				Object.keys(_json.preferences || {}).forEach((_key) => {
+					if (/^filter[A-Z]\w*$/.test(_key) && typeof _json.preferences[_key] === "boolean") {
+						_parsed.preferences[_key] = _json.preferences[_key];
+					}
+				});
+			}
+		} else {
+			// Plain text, one entry per line
+			let _category = _default_category;
+			_trimmed.split(/\r?\n/).forEach((_raw_line) => {
+				const _line = _raw_line.trim();
+				if (_line === "" || _line.startsWith("#")) {
+					return;
+				}
+
+				// Section headers switch the target category
+				const _section_match = _line.match(/^\[(\w+)\]$/);
+				if (_section_match && __categories.includes(_section_match[1].toLowerCase())) {
+					_category = _section_match[1].toLowerCase();
+					return;
+				}
+
+				// "u/" and "r/" prefixes route lines to their own lists; "/regex/" keywords
+				// (even "/user\d+/i") stay in the current section
+				let _line_category = _category;
+				const _regex_form = _regex_form_is(_entry_parse(_line).value);
+				if (!_regex_form && (/^\/?(?:u|user)\//i.test(_line) || /reddit\.com\/(u|user)\//i.test(_line))) {
+					_line_category = "users";
+				} else if (!_regex_form && /^\/?r\//i.test(_line)) {
+					_line_category = "subreddits";
+				}
+				// Only "/u/", "/user/" and "/r/" lose their leading slash ("/regex/" keywords keep it)
+				(_parsed.lists[_line_category] = _parsed.lists[_line_category] || []).push(_regex_form ? _line : _line.replace(/^\/(?=(?:u|user|r)\/)/i, ""));
+			});
+		}
+
+		// Apply the same cleanup used when filters are loaded
+		Object.keys(_parsed.lists).forEach((_category) => {
+			_parsed.lists[_category] = _parsed.lists[_category]
+				.map((_line) => _line.trim())
+				.filter((_line) => _line !== "")
+				.map((_line) => _source_clean(_category, _line));
+		});
+		return _parsed;
+	}
+
+	// Check whether a list line is written as a "/pattern/flags" regular expression; a plain
+	// "/u/name/" or "/r/name/" path is not, and neither is anything that doesn't compile
+	function _regex_form_is(_value) {
+		const _match = _value.match(/^\/(.+)\/([a-z]*)$/i);
+		if (!_match || /^(?:u|user|r)\/[\w+-]+$/i.test(_match[1])) {
+			return false;
+		}
+		try {
+			new RegExp(_match[1], _match[2]);
+			return true;
+		} catch (_err) {
+			return false;
+		}
+	}
+
+	// Build a versioned JSON export of the given lists and preference flags
+	function _list_file_build(_lists, _preferences) {
+		return JSON.stringify({
+			format: "reddit-shield",
+			version: __file_version,
+			exported: new Date().toISOString(),
+			lists: _lists,
+			preferences: _preferences
+		}, null, "\t");
+	}
+
+	// Parse a day token ("mon", "Mon-Fri", "weekends") into day numbers, or null if invalid
+	function _schedule_days_parse(_token) {
+		const _name = _token.toLowerCase();
+		if (__day_groups[_name]) {
+			return __day_groups[_name];
+		}
+		const _range = _name.match(/^([a-z]{3})[a-z]*(?:-([a-z]{3})[a-z]*)?$/);
+		if (!_range || !__day_names.includes(_range[1]) || (_range[2] && !__day_names.includes(_range[2]))) {
+			return null;
+		}
+		const _first = __day_names.indexOf(_range[1]);
+		const _last = _range[2] ? __day_names.indexOf(_range[2]) : _first;
+		// Ranges may wrap around the week ("Fri-Mon")
+		const _days = [];
+		for (let _day = _first; ; _day = (_day + 1) % 7) {
+			_days.push(_day);
+			if (_day === _last) {
+				break;
+			}
+		}
+		return _days;
+	}
+
+	// Parse "HH:MM" into minutes since midnight, or null if invalid ("24:00" ends a day)
+	function _schedule_time_parse(_text) {
+		const _match = _text.match(/^(\d{1,2}):(\d{2})$/);
+		if (!_match) {
+			return null;
+		}
+		const _minutes = parseInt(_match[1], 10) * 60 + parseInt(_match[2], 10);
+		return parseInt(_match[2], 10) < 60 && _minutes <= 24 * 60 ? _minutes : null;
+	}
+
+	// Parse one schedule line ("Mon-Fri 09:00-17:00") into its days and time range
+	function _schedule_entry_parse(_source) {
+		const _text = _source.trim();
+		const _entry = { source: _text, days: [], start: 0, end: 0, error: null };
+		const _match = _text.match(/^(.+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+		if (!_match) {
+			_entry.error = "Use days and a time range, e.g. \"Mon-Fri 09:00-17:00\"";
+			return _entry;
+		}
+
+		const _day_lists = _match[1].split(/[\s,]+/).filter((_token) => _token).map(_schedule_days_parse);
+		if (_day_lists.includes(null)) {
+			_entry.error = "Unknown day, use Mon..Sun, \"Mon-Fri\", \"daily\", \"weekdays\" or \"weekends\"";
+			return _entry;
+		}
+		_entry.days = [...new Set([].concat(..._day_lists))].sort((_a, _b) => _a - _b);
+
+		_entry.start = _schedule_time_parse(_match[2]);
+		_entry.end = _schedule_time_parse(_match[3]);
+		if (_entry.start === null || _entry.end === null || _entry.start === 24 * 60) {
+			_entry.error = "Invalid time, use 24-hour HH:MM";
+		} else if (_entry.start === _entry.end) {
+			_entry.error = "The time range is empty";
+		}
+		return _entry;
+	}
+
+	// Parse schedule lines, skipping empty ones
+	function _schedule_parse(_sources) {
+		return (_sources || [])
+			.filter((_source) => typeof _source === "string" && _source.trim() !== "")
+			.map(_schedule_entry_parse);
+	}
+
+	// Check whether a time falls inside any valid schedule entry (local time)
+	function _schedule_matches(_entries, _date) {
+		const _now = _date.getDay() * 24 * 60 + _date.getHours() * 60 + _date.getMinutes();
+		return _entries.some((_entry) => !_entry.error && _entry.days.some((_day) => {
+			const _start = _day * 24 * 60 + _entry.start;
+			// Past midnight the range continues into the next day
+			const _end = _day * 24 * 60 + (_entry.end > _entry.start ? _entry.end : _entry.end + 24 * 60);
+			// Saturday night ranges continue into Sunday at the start of the week
+			return (_now >= _start && _now < _end) || (_now + __week_minutes >= _start && _now + __week_minutes < _end);
+		}));
+	}
+
+	// Compile a single keyword entry into a matching rule
+	function _keyword_compile(_source) {
+		const _entry = _entry_parse(_source);
+		const _text = _entry.value;
+		const _rule = {
+			source: _entry.source, scope: _entry.scope, expires: _entry.expires, expired: _entry.expired,
+			type: "word", regex: null, error: _entry.error
+		};
+		if (_rule.error) {
+			return _rule;
+		}
+
+		// Regular expression: /pattern/flags
+		const _regex_match = _text.match(/^\/(.+)\/([a-z]*)$/);
+		if (_regex_match) {
+			_rule.type = "regex";
+			try {
+				// Global and sticky flags make test() stateful, so drop them
+				const _flags = _regex_match[2].replace(/[gy]/g, "");
+				_rule.regex = new RegExp(_regex_match[1], _flags);
+			} catch (_err) {
+				_rule.error = _err.message;
+			}
+			return _rule;
+		}
+
+		// Exact phrase: "text"
+		if (_text.length >= 2 && _text.startsWith("\"") && _text.endsWith("\"")) {
+			_rule.type = "phrase";
+			const _phrase = _text.slice(1, -1);
+			if (_phrase.trim() === "") {
+				_rule.error = "Empty phrase";
+				return _rule;
+			}
+			_rule.regex = new RegExp(_regex_escape(_phrase), "iu");
+			return _rule;
+		}
+
+		// Whole words with optional "*" wildcards
+		if (/^[\s*]*$/.test(_text)) {
+			_rule.error = "Wildcard-only rule would match everything";
+			return _rule;
+		}
+		const _tokens = _text.split(/\s+/).map((_token) => {
+			if (_token === "*") {
+				return ".*";
+			}
+			return _token.split("*").map(_regex_escape).join(`${__word_char}*`);
+		});
+		_rule.regex = new RegExp(`(?<!${__word_char})${_tokens.join("\\s+")}(?!${__word_char})`, "iu");
+		return _rule;
+	}
+
+	// Compile a list of keyword entries, skipping empty lines
+	function _keywords_compile(_sources) {
+		const _rules = [];
+		for (let _source of _sources || []) {
+			if (typeof _source !== "string" || _source.trim() === "") {
+				continue;
+			}
+			_rules.push(_keyword_compile(_source));
+		}
+		return _rules;
+	}
+
+	// Turn selected page text into a keyword rule: plain whole-word text, or a quoted
+	// phrase when the text contains rule syntax ("*", quotes, "~", " @ ", leading "/")
+	function _keyword_from_text(_text) {
+		const _clean = (_text || "").replace(/\s+/g, " ").trim().slice(0, __keyword_text_length);
+		if (_clean === "") {
+			return "";
+		}
+		return /[*"~]|^\/|\s@\s/.test(_clean) ? `"${_clean.replace(/"/g, "")}"` : _clean;
+	}
+
+	// Public interface
+	var pub = {
+		categories: __categories,
+		value_clean: _value_clean,
+		domain_keys: _domain_keys,
+		source_clean: _source_clean,
+		list_file_parse: _list_file_parse,
+		list_file_build: _list_file_build,
+		entry_parse: _entry_parse,
+		entries_parse: _entries_parse,
+		users_parse: _users_parse,
+		scope_matches: _scope_matches,
+		expiry_resolve: _expiry_resolve,
+		remaining_format: _remaining_format,
+		keyword_compile: _keyword_compile,
+		keywords_compile: _keywords_compile,
+		keyword_from_text: _keyword_from_text,
+		schedule_parse: _schedule_parse,
+		schedule_matches: _schedule_matches
+	};
+
+	return pub;
+};
@@ -0,0 +1,980 @@
+/*
+ * RedditShield Storage Layer
+ *
+ * Shared by the popup, the content script and the background worker. Wraps
+ * chrome.storage so that filter lists survive chrome.storage.sync quotas.
+ *
+ * Layout:
+ * - Filter lists, allowlists and the protected users list are sharded into "<key>__0",
+ *   "<key>__1", ... items, each kept under the sync per-item quota (8 KB), with the
+ *   shard count in "<key>__chunks"
+ * - Each list is stored as entry records [value, added, removed] (seconds since the
+ *   epoch, 0 when never removed); an entry is in the list while added > removed
+ * - Callers only see plain arrays of the entries in the list: saving an array adds
+ *   the new entries and tombstones the missing ones
+ * - Tombstones are dropped once they are older than 30 days
+ * - An entry may carry a note: [value, added, removed, note, noted], where "noted" is
+ *   the time the note was last edited (the latest note wins when merging)
+ * - records_load gives the options page the entries with their added time and note;
+ *   notes are saved with save(..., { notes: { <list key>: { <entry>: note } } })
+ * - Legacy lists of plain strings (single key or sharded) are still read, and
+ *   replaced by the record layout on the next save
+ * - All other keys (preference flags) are stored as-is
+ * - The sync preference ("enableSync") always lives in chrome.storage.local
+ *
+ * Quota handling:
+ * - Before writing to sync, the resulting size is estimated against QUOTA_BYTES and
+ *   MAX_ITEMS; if it would overflow, the lists are merged into local storage, sync is
+ *   turned off on this device and the caller is told so it can warn the user (the
+ *   synced lists are left as they are for other devices)
+ * - chrome.runtime.lastError is checked after every write
+ * - Only shards whose content changed are written, to stay under the sync write rate
+ *
+ * Saves are queued so that rapid successive saves (the popup saves whenever typing in a
+ * list pauses) never interleave their read-modify-write cycles.
+ *
+ * Drafts:
+ * - The popup can close before a save finishes, so each keystroke first stores the
+ *   typed lists and their base in chrome.storage.local ("listDraft", one write),
+ *   together with typed changes to items kept in local arrays by id ("updates":
+ *   subscription overrides, profile entries and schedules)
+ * - draft_apply saves a draft and clears it unless a newer one replaced it; the popup
+ *   runs it once typing pauses and when it opens, background.js for drafts left behind
+ *
+ * Sync merging:
+ * - Records merge per entry by taking the latest add and the latest removal, so
+ *   merging is order-independent and never loses an entry another device added
+ * - A save may pass the lists as the caller loaded them ("base"); only the caller's own
+ *   edits are then applied, so a popup opened before another device's change can't
+ *   undo that change
+ * - Switching between local and sync storage ("merge_area") merges the records of both
+ *   areas before applying the caller's edits, so entries only the new area holds survive
+ * - Chrome sync resolves concurrent writes to a shard by keeping one of them;
+ *   chrome.storage.local keeps a shadow copy ("syncShadow") of every list this device
+ *   has seen, and sync_reconcile (run by background.js whenever the synced lists
+ *   change) merges the two and writes back whatever the other device's write dropped
+ * - The outcome is stored in chrome.storage.local ("syncStatus") for the popup
+ *
+ * History:
+ * - Every save that changes a list records a snapshot in chrome.storage.local
+ *   ("listHistory", never synced): the time, an optional label, the previous content
+ *   of each changed list and the entries added and removed
+ * - Unlabelled saves (typing in the popup) within a few minutes of each other share one
+ *   snapshot; labelled saves (cleanup, import, restore) always start a new one
+ * - The history is capped by snapshot count and size, dropping the oldest first
+ * - Restoring a snapshot puts every list back the way it was before that change;
+ *   undo reverts only the entries of the last bulk change made on this device (merges
+ *   from other devices are recorded with remote set and are never undone)
+ *
+ * @version 1.51
+ * @author Vanco Ordanoski <vordan@infoproject.biz>
+ * @date 2025-10-08
+ */
+const cls_redditShieldStorage = function(_options) {
+	// Filter list and allowlist keys that are stored sharded
+	const __list_keys = [
+		"hiddenUsers", "hiddenKeywords", "hiddenSubreddits", "hiddenDomains", "hiddenFlairs",
+		"allowedUsers", "allowedKeywords", "allowedSubreddits", "allowedDomains", "protectedUsers"
+	];
+
+	// List key of each filter category that has a personal list
+	const __category_keys = {
+		users: "hiddenUsers",
+		keywords: "hiddenKeywords",
+		subreddits: "hiddenSubreddits",
+		domains: "hiddenDomains",
+		flairs: "hiddenFlairs"
+	};
+
+	// Allowlist key of each filter category
+	const __allow_keys = {
+		users: "allowedUsers",
+		keywords: "allowedKeywords",
+		subreddits: "allowedSubreddits",
+		domains: "allowedDomains"
+	};
+
+	// Every key owned by the extension in the filter storage area (used when migrating)
+	const __data_keys = [
+		...__list_keys,
+		"loggingEnabled", "expandImages", "filterUsers", "filterKeywords",
+		"filterCommentKeywords", "filterSubreddits", "filterDomains", "blockUsers", "blockKeywords",
+		"blockSubreddits", "blockDomains", "displayModeUsers", "displayModeKeywords",
+		"displayModeSubreddits", "displayModeDomains", "enableSync",
+		"filterFlairs", "filterNsfw", "filterSpoilers", "filterPostTypes", "hiddenPostTypes",
+		"filterMinScore", "minScore", "filterMinComments", "minComments",
+		"displayModeFlairs", "displayModeAttributes", "showInlineControls", "threadMode"
+	];
+
+	// Sync quotas (fall back to documented values if the API does not expose them)
+	const __sync_quota_bytes = chrome.storage.sync.QUOTA_BYTES || 102400;
+	const __sync_quota_bytes_per_item = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+	const __sync_max_items = chrome.storage.sync.MAX_ITEMS || 512;
+
+	// Leave headroom in each shard and in the total for preference keys
+	const __chunk_bytes = __sync_quota_bytes_per_item - 256;
+	const __quota_margin = 1024;
+
+	// Pending saves, run one at a time
+	let __save_queue = Promise.resolve();
+
+	// List history (chrome.storage.local): snapshots kept, their size budget, and the
+	// window in which unlabelled edits merge into the previous snapshot
+	const __history_key = "listHistory";
+	const __history_size = 50;
+	const __history_bytes = 2 * 1024 * 1024;
+	const __history_merge_ms = 5 * 60 * 1000;
+
+	// Sync merging (chrome.storage.local): shadow copy of the synced lists and last merge outcome
+	const __shadow_key = "syncShadow";
+	const __sync_status_key = "syncStatus";
+
+	// Unsaved popup edits (chrome.storage.local)
+	const __draft_key = "listDraft";
+	// Age after which removed entries are forgotten, in seconds
+	const __tombstone_seconds = 30 * 24 * 60 * 60;
+
+	const __encoder = new TextEncoder();
+
+	// Current time for entry records, in seconds
+	function _clock_now() {
+		return Math.floor(Date.now() / 1000);
+	}
+
+	// Normalize a stored list to entry records (legacy plain strings count as added long ago)
+	function _records_get(_list) {
+		return (_list || []).map(function(_item) {
+			if (typeof _item === "string") {
+				return [_item.trim(), 1, 0];
+			}
+			if (!Array.isArray(_item) || typeof _item[0] !== "string") {
+				return null;
+			}
+			const _record = [_item[0], _item[1] || 0, _item[2] || 0];
+			if (_item[4]) {
+				_record.push(typeof _item[3] === "string" ? _item[3] : "", _item[4]);
+			}
+			return _record;
+		}).filter((_record) => _record !== null && _record[0] !== "");
+	}
+
+	// Set an entry record's note (an empty note is kept with its time so the removal merges)
+	function _record_note_set(_record, _note, _now) {
+		_record[3] = _note;
+		_record[4] = Math.max(_now, (_record[4] || 0) + 1);
+	}
+
+	// Check whether an entry record is currently in its list
+	function _record_live(_record) {
+		return _record[1] > _record[2];
+	}
+
+	// Values of the entries currently in a list, in stored order
+	function _records_values(_records) {
+		return _records.filter(_record_live).map((_record) => _record[0]);
+	}
+
+	// Drop tombstones older than the retention period
+	function _records_collect(_records, _now) {
+		return _records.filter((_record) => _record_live(_record) || _now - _record[2] < __tombstone_seconds);
+	}
+
+	// Apply a saved list to its records; with a base (the list as the caller loaded it)
+	// only the entries the caller added or removed since are changed
+	function _records_update(_records, _values, _base, _now) {
+		const _by_value = new Map(_records.map((_record) => [_record[0], _record.slice()]));
+		const _wanted = _list_entries(_values);
+		const _before = _base ? _list_entries(_base) : _records_values(_records);
+		const _wanted_set = new Set(_wanted);
+		const _before_set = new Set(_before);
+
+		_wanted.filter((_value) => !_before_set.has(_value)).forEach((_value) => {
+			const _record = _by_value.get(_value) || [_value, 0, 0];
+			if (!_record_live(_record)) {
+				_record[1] = Math.max(_now, _record[2] + 1);
+			}
+			_by_value.set(_value, _record);
+		});
+		_before.filter((_value) => !_wanted_set.has(_value)).forEach((_value) => {
+			const _record = _by_value.get(_value);
+			if (_record && _record_live(_record)) {
+				_record[2] = Math.max(_now, _record[1]);
+			}
+		});
+
+		// Keep the caller's order, then every other record in its stored order
+		const _ordered = [...new Set([..._wanted, ..._records.map((_record) => _record[0])])]
+			.filter((_value) => _by_value.has(_value))
+			.map((_value) => _by_value.get(_value));
+		return _records_collect(_ordered, _now);
+	}
+
+	// Merge two versions of a list entry by entry (latest add and latest removal win)
+	function _records_merge(_records, _other_records) {
+		const _by_value = new Map(_records.map((_record) => [_record[0], _record.slice()]));
+		_other_records.forEach((_other) => {
+			const _record = _by_value.get(_other[0]);
+			if (!_record) {
+				_by_value.set(_other[0], _other.slice());
+				return;
+			}
+			_record[1] = Math.max(_record[1], _other[1]);
+			_record[2] = Math.max(_record[2], _other[2]);
+			if ((_other[4] || 0) > (_record[4] || 0)) {
+				_record[3] = _other[3];
+				_record[4] = _other[4];
+			}
+		});
+		return _records_collect(Array.from(_by_value.values()), _clock_now());
+	}
+
+	// Count the entries whose presence differs between two versions of a list
+	function _records_changes_count(_records, _other_records) {
+		const _values = new Set(_records_values(_records));
+		const _other_values = new Set(_records_values(_other_records));
+		return [..._values].filter((_value) => !_other_values.has(_value)).length +
+			[..._other_values].filter((_value) => !_values.has(_value)).length;
+	}
+
+	// Check whether two versions of a list hold the same records
+	function _records_equal(_records, _other_records) {
+		return JSON.stringify(_records) === JSON.stringify(_other_records);
+	}
+
+	// Plain entry values of every list in assembled data
+	function _lists_values(_data) {
+		const _lists = {};
+		__list_keys.forEach((_key) => {
+			if (_key in _data) {
+				_lists[_key] = _records_values(_records_get(_data[_key]));
+			}
+		});
+		return _lists;
+	}
+
+	// Size of one stored item the way chrome.storage.sync counts it
+	function _item_bytes(_key, _value) {
+		return __encoder.encode(_key + JSON.stringify(_value)).length;
+	}
+
+	// Check whether a raw storage key belongs to a filter list (legacy key or shard)
+	function _list_key_is(_key) {
+		return __list_keys.includes(_key) || _chunk_key_match(_key) !== null;
+	}
+
+	// Check whether a key is a shard or shard count of a list key
+	function _chunk_key_match(_key) {
+		const _match = _key.match(/^(.+)__(\d+|chunks)$/);
+		if (!_match || !__list_keys.includes(_match[1])) {
+			return null;
+		}
+		return { list_key: _match[1], index: _match[2] };
+	}
+
+	// Read the sync preference and resolve the storage area to use
+	function _area_get(_callback) {
+		chrome.storage.local.get(["enableSync"], function(_local_result) {
+			const _enable_sync = _local_result.enableSync !== undefined ? _local_result.enableSync : true;
+			_callback(_enable_sync ? chrome.storage.sync : chrome.storage.local, _enable_sync);
+		});
+	}
+
+	// Reassemble sharded lists from raw storage items
+	function _items_assemble(_items) {
+		const _data = {};
+		Object.keys(_items).forEach(function(_key) {
+			if (!_chunk_key_match(_key)) {
+				_data[_key] = _items[_key];
+			}
+		});
+
+		__list_keys.forEach(function(_list_key) {
+			const _chunk_count = _items[`${_list_key}__chunks`];
+			if (typeof _chunk_count !== "number") {
+				return;  // legacy single-key list (or missing) is used as-is
+			}
+			let _list = [];
+			for (let _index = 0; _index < _chunk_count; _index++) {
+				_list = _list.concat(_items[`${_list_key}__${_index}`] || []);
+			}
+			_data[_list_key] = _list;
+		});
+
+		return _data;
+	}
+
+	// Split a list into shards that each fit in one sync item
+	function _list_split(_list_key, _list) {
+		const _chunks = [];
+		let _current = [];
+		let _current_bytes = _item_bytes(`${_list_key}__0000`, []);
+
+		_list.forEach(function(_entry) {
+			const _entry_bytes = __encoder.encode(JSON.stringify(_entry)).length + 1;
+			if (_current.length > 0 && _current_bytes + _entry_bytes > __chunk_bytes) {
+				_chunks.push(_current);
+				_current = [];
+				_current_bytes = _item_bytes(`${_list_key}__0000`, []);
+			}
+			_current.push(_entry);
+			_current_bytes += _entry_bytes;
+		});
+
+		if (_current.length > 0) {
+			_chunks.push(_current);
+		}
+		return _chunks;
+	}
+
+	// Convert data into raw storage items (sharding list keys)
+	function _items_build(_data) {
+		const _items = {};
+		Object.keys(_data).forEach(function(_key) {
+			if (!__list_keys.includes(_key)) {
+				_items[_key] = _data[_key];
+				return;
+			}
+			const _chunks = _list_split(_key, _data[_key] || []);
+			_items[`${_key}__chunks`] = _chunks.length;
+			_chunks.forEach(function(_chunk, _index) {
+				_items[`${_key}__${_index}`] = _chunk;
+			});
+		});
+		return _items;
+	}
+
+	// Find existing raw keys that a write of the given data makes obsolete
+	function _stale_keys_get(_existing_items, _new_items, _data) {
+		return Object.keys(_existing_items).filter(function(_key) {
+			if (_key in _new_items) {
+				return false;
+			}
+			// Legacy single-key list replaced by shards
+			if (__list_keys.includes(_key) && _key in _data) {
+				return true;
+			}
+			// Shards beyond the new shard count
+			const _chunk = _chunk_key_match(_key);
+			return _chunk !== null && _chunk.list_key in _data;
+		});
+	}
+
+	// Estimate the sync bytes and item count after a write
+	function _usage_estimate(_existing_items, _new_items, _stale_keys) {
+		const _merged = Object.assign({}, _existing_items, _new_items);
+		_stale_keys.forEach(function(_key) {
+			delete _merged[_key];
+		});
+
+		let _bytes = 0;
+		Object.keys(_merged).forEach(function(_key) {
+			_bytes += _item_bytes(_key, _merged[_key]);
+		});
+		return { bytes: _bytes, items: Object.keys(_merged).length };
+	}
+
+	// Load data for the given keys from the active storage area
+	function _load(_keys, _callback) {
+		_area_get(function(_storage_area, _enable_sync) {
+			_storage_area.get(null, function(_items) {
+				// Callers get plain entry values instead of the stored records
+				const _assembled = _items_assemble(_items || {});
+				const _data = Object.assign(_assembled, _lists_values(_assembled));
+				const _result = {};
+				_keys.forEach(function(_key) {
+					if (_data[_key] !== undefined) {
+						_result[_key] = _data[_key];
+					}
+				});
+				_callback(_result, _enable_sync);
+			});
+		});
+	}
+
+	// Load the entries of the given lists with their added time (seconds, 1 when unknown)
+	// and note: { <list key>: [{ value, added, note }] }
+	function _records_load(_keys, _callback) {
+		_area_get(function(_storage_area, _enable_sync) {
+			_storage_area.get(null, function(_items) {
+				const _assembled = _items_assemble(_items || {});
+				const _result = {};
+				_keys.filter((_key) => __list_keys.includes(_key)).forEach(function(_key) {
+					_result[_key] = _records_get(_assembled[_key]).filter(_record_live).map(function(_record) {
+						return { value: _record[0], added: _record[1], note: _record[3] || "" };
+					});
+				});
+				_callback(_result, _enable_sync);
+			});
+		});
+	}
+
+	// Write raw items and remove stale keys in one storage area
+	function _items_write(_storage_area, _existing_items, _new_items, _stale_keys, _callback) {
+		// Only write items whose content changed
+		const _changed_items = {};
+		Object.keys(_new_items).forEach(function(_key) {
+			if (JSON.stringify(_existing_items[_key]) !== JSON.stringify(_new_items[_key])) {
+				_changed_items[_key] = _new_items[_key];
+			}
+		});
+
+		const _remove_stale = function() {
+			if (_stale_keys.length === 0) {
+				_callback(null);
+				return;
+			}
+			_storage_area.remove(_stale_keys, function() {
+				_callback(chrome.runtime.lastError || null);
+			});
+		};
+
+		if (Object.keys(_changed_items).length === 0) {
+			_remove_stale();
+			return;
+		}
+		_storage_area.set(_changed_items, function() {
+			const _error = chrome.runtime.lastError;
+			if (_error) {
+				_callback(_error);
+				return;
+			}
+			_remove_stale();
+		});
+	}
+
+	// Merge the synced data and the save into local storage and turn sync off on this device
+	function _sync_fallback(_sync_items, _data, _reason, _callback) {
+		const _sync_data = Object.assign(_items_assemble(_sync_items), _data);
+
+		chrome.storage.local.set({ enableSync: false }, function() {
+			chrome.storage.local.get(null, function(_local_items) {
+				// Entries only the local lists hold (from before sync was turned on) are kept
+				const _local_data = _items_assemble(_local_items);
+				const _fallback_data = Object.assign({}, _sync_data, { enableSync: false });
+				__list_keys.forEach(function(_key) {
+					if (_key in _sync_data || _key in _local_data) {
+						_fallback_data[_key] = _records_merge(_records_get(_local_data[_key]), _records_get(_sync_data[_key]));
+					}
+				});
+
+				const _new_items = _items_build(_fallback_data);
+				const _stale_keys = _stale_keys_get(_local_items, _new_items, _fallback_data);
+				_items_write(chrome.storage.local, _local_items, _new_items, _stale_keys, function(_error) {
+					if (_error) {
+						_callback({ status: "error", message: _error.message });
+						return;
+					}
+					// The synced lists stay in place for other devices
+					_callback({
+						status: "fallback",
+						message: `${_reason} Filters were moved to local storage and sync was turned off on this device.`
+					});
+				});
+			});
+		});
+	}
+
+	// Read the raw items of the area being saved to and, when switching areas, the lists
+	// of the other area (so both areas' records are merged instead of one replacing the other)
+	function _save_items_get(_storage_area, _enable_sync, _merge_area, _callback) {
+		_storage_area.get(null, function(_items) {
+			if (!_merge_area) {
+				_callback(_items || {}, {});
+				return;
+			}
+			(_enable_sync ? chrome.storage.local : chrome.storage.sync).get(null, function(_other_items) {
+				_callback(_items || {}, _items_assemble(_other_items || {}));
+			});
+		});
+	}
+
+	// Save data to the active storage area, sharding lists and guarding sync quotas
+	// _change: optional { label, bulk, base, notes, merge_area }; label and bulk are recorded
+	// with the history snapshot, base holds the lists as the caller loaded them (see "Sync
+	// merging"), notes the entry notes to set per list key, and merge_area merges the lists
+	// of the other storage area first (the caller's base being that area's lists)
+	function _save(_data, _callback, _change) {
+		const _done = _callback || function() {};
+
+		__save_queue = __save_queue.then(function() {
+			return new Promise(function(_resolve) {
+				const _finish = function(_result) {
+					_done(_result);
+					_resolve();
+				};
+
+				_area_get(function(_storage_area, _enable_sync) {
+					_save_items_get(_storage_area, _enable_sync, Boolean(_change && _change.merge_area), function(_existing_items, _other_lists) {
+						const _previous = _items_assemble(_existing_items);
+
+						// Turn saved lists into entry records
+						const _now = _clock_now();
+						const _base = _change && _change.base ? _change.base : {};
+						const _stored_data = Object.assign({}, _data);
+						__list_keys.forEach(function(_key) {
+							if (_key in _data) {
+								// Entries only the other area holds are kept, with their times, notes and removals
+								const _records = _key in _other_lists
+									? _records_merge(_records_get(_previous[_key]), _records_get(_other_lists[_key]))
+									: _records_get(_previous[_key]);
+								// A list the caller never loaded from the old area had no entries to remove
+								const _key_base = _key in _other_lists && _base[_key] === undefined ? [] : _base[_key];
+								_stored_data[_key] = _records_update(_records, _data[_key], _key_base, _now);
+							}
+						});
+
+						// Set entry notes (only on entries that are in the list)
+						const _notes = _change && _change.notes ? _change.notes : {};
+						Object.keys(_notes).filter((_key) => __list_keys.includes(_key)).forEach(function(_key) {
+							if (!(_key in _stored_data)) {
+								_stored_data[_key] = _records_get(_previous[_key]);
+							}
+							_stored_data[_key].forEach(function(_record) {
+								if (_record_live(_record) && _record[0] in _notes[_key] && _notes[_key][_record[0]] !== (_record[3] || "")) {
+									_record_note_set(_record, _notes[_key][_record[0]], _now);
+								}
+							});
+						});
+
+						const _new_items = _items_build(_stored_data);
+						const _stale_keys = _stale_keys_get(_existing_items, _new_items, _stored_data);
+
+						// Record the lists' previous content once the data is safely written,
+						// and remember synced lists in the shadow copy
+						const _finish_recorded = function(_result) {
+							if (_result.status === "error") {
+								_finish(_result);
+								return;
+							}
+							_history_record(_lists_values(_previous), _lists_values(_stored_data), _change || null, function() {
+								if (_result.status !== "ok" || !_enable_sync) {
+									_finish(_result);
+									return;
+								}
+								_shadow_update(_stored_data, function() {
+									_finish(_result);
+								});
+							});
+						};
+
+						// Fall back to local storage before sync would overflow
+						if (_enable_sync) {
+							const _usage = _usage_estimate(_existing_items, _new_items, _stale_keys);
+							if (_usage.bytes > __sync_quota_bytes - __quota_margin || _usage.items > __sync_max_items) {
+								_sync_fallback(_existing_items, _stored_data, "Filter lists are too large for Chrome sync.", _finish_recorded);
+								return;
+							}
+						}
+
+						_items_write(_storage_area, _existing_items, _new_items, _stale_keys, function(_error) {
+							if (!_error) {
+								_finish_recorded({ status: "ok" });
+							} else if (_enable_sync) {
+								// Sync rejected the write (quota or rate limit) - keep the data locally
+								_sync_fallback(_existing_items, _stored_data, `Chrome sync rejected the save (${_error.message}).`, _finish_recorded);
+							} else {
+								_finish({ status: "error", message: _error.message });
+							}
+						});
+					});
+				});
+			});
+		});
+	}
+
+	// Merge saved records into the shadow copy of the synced lists
+	function _shadow_update(_stored_data, _callback) {
+		chrome.storage.local.get([__shadow_key], function(_result) {
+			const _shadow = _result[__shadow_key] || {};
+			__list_keys.forEach(function(_key) {
+				if (_key in _stored_data) {
+					_shadow[_key] = _records_merge(_records_get(_shadow[_key]), _stored_data[_key]);
+				}
+			});
+			chrome.storage.local.set({ [__shadow_key]: _shadow }, function() {
+				_callback();
+			});
+		});
+	}
+
+	// Merge the synced lists with the shadow copy: write back entries a concurrent write
+	// from another device dropped, and take in that device's changes
+	function _sync_reconcile(_callback) {
+		const _done = _callback || function() {};
+
+		__save_queue = __save_queue.then(function() {
+			return new Promise(function(_resolve) {
+				// Keep the last merge that changed something next to the latest outcome
+				const _finish = function(_status) {
+					chrome.storage.local.get([__sync_status_key], function(_result) {
+						const _previous_status = _result[__sync_status_key] || {};
+						const _sync_status = Object.assign({ time: Date.now(), last_change: _previous_status.last_change || null }, _status);
+						if (_status.received > 0 || _status.restored > 0) {
+							_sync_status.last_change = { time: _sync_status.time, received: _status.received, restored: _status.restored };
+						}
+						chrome.storage.local.set({ [__sync_status_key]: _sync_status }, function() {
+							_done(_sync_status);
+							_resolve();
+						});
+					});
+				};
+
+				_area_get(function(_storage_area, _enable_sync) {
+					if (!_enable_sync) {
+						_finish({ state: "off" });
+						return;
+					}
+
+					chrome.storage.sync.get(null, function(_sync_items) {
+						chrome.storage.local.get([__shadow_key], function(_local_result) {
+							_sync_items = _sync_items || {};
+							const _synced = _items_assemble(_sync_items);
+							const _shadow = _local_result[__shadow_key] || {};
+							const _merged = {};
+							const _write_data = {};
+							let _received = 0;
+							let _restored = 0;
+
+							__list_keys.forEach(function(_key) {
+								const _sync_records = _records_get(_synced[_key]);
+								// A list this device hasn't seen yet is taken from sync as-is
+								const _shadow_records = _key in _shadow ? _records_get(_shadow[_key]) : _sync_records;
+								_merged[_key] = _records_merge(_sync_records, _shadow_records);
+								_received += _records_changes_count(_shadow_records, _merged[_key]);
+								_restored += _records_changes_count(_sync_records, _merged[_key]);
+								if (!_records_equal(_sync_records, _merged[_key])) {
+									_write_data[_key] = _merged[_key];
+								}
+							});
+
+							const _shadow_save = function(_status) {
+								chrome.storage.local.set({ [__shadow_key]: _merged }, function() {
+									// Changes from the other device are recorded so they can be restored from here;
+									// they are not bulk changes, so undo never reverts another device's edits
+									if (_received === 0) {
+										_finish(_status);
+										return;
+									}
+									_history_record(_lists_values(_shadow), _lists_values(_merged), {
+										label: "Changes from another device",
+										bulk: false,
+										remote: true
+									}, function() {
+										_finish(_status);
+									});
+								});
+							};
+
+							if (Object.keys(_write_data).length === 0) {
+								_shadow_save({ state: "synced", received: _received, restored: 0 });
+								return;
+							}
+
+							// Write back only the lists that lost entries, within the sync quota
+							const _new_items = _items_build(_write_data);
+							const _stale_keys = _stale_keys_get(_sync_items, _new_items, _write_data);
+							const _usage = _usage_estimate(_sync_items, _new_items, _stale_keys);
+							if (_usage.bytes > __sync_quota_bytes - __quota_margin || _usage.items > __sync_max_items) {
+								_finish({ state: "error", message: "Merged lists are too large for Chrome sync." });
+								return;
+							}
+							_items_write(chrome.storage.sync, _sync_items, _new_items, _stale_keys, function(_error) {
+								if (_error) {
+									_finish({ state: "error", message: _error.message });
+									return;
+								}
+								_shadow_save({ state: _restored > 0 ? "merged" : "synced", received: _received, restored: _restored });
+							});
+						});
+					});
+				});
+			});
+		});
+	}
+
+	// Read the outcome of the last sync merge
+	function _sync_status_get(_callback) {
+		chrome.storage.local.get([__sync_status_key], function(_result) {
+			_callback(_result[__sync_status_key] || null);
+		});
+	}
+
+	// Non-empty, trimmed entries of a stored list
+	function _list_entries(_list) {
+		return (_list || [])
+			.filter((_source) => typeof _source === "string" && _source.trim() !== "")
+			.map((_source) => _source.trim());
+	}
+
+	// Entries added and removed between two versions of a list, or null when unchanged
+	function _list_diff(_before, _after) {
+		const _before_entries = _list_entries(_before);
+		const _after_entries = _list_entries(_after);
+		const _before_set = new Set(_before_entries);
+		const _after_set = new Set(_after_entries);
+		const _added = [...new Set(_after_entries.filter((_entry) => !_before_set.has(_entry)))];
+		const _removed = [...new Set(_before_entries.filter((_entry) => !_after_set.has(_entry)))];
+		return _added.length === 0 && _removed.length === 0 ? null : { added: _added, removed: _removed };
+	}
+
+	// Add a snapshot of the lists a save changed (or extend the current typing session's)
+	function _history_record(_previous, _data, _change, _callback) {
+		const _changed_keys = __list_keys.filter((_key) => _key in _data && _list_diff(_previous[_key], _data[_key]) !== null);
+		if (_changed_keys.length === 0) {
+			_callback();
+			return;
+		}
+
+		chrome.storage.local.get([__history_key], function(_result) {
+			const _history = _result[__history_key] || [];
+			const _last = _history[_history.length - 1];
+			const _now = Date.now();
+
+			let _snapshot = _last;
+			if (_change || !_last || _last.label || _now - _last.updated > __history_merge_ms) {
+				_snapshot = {
+					id: _last ? _last.id + 1 : 1,
+					time: _now,
+					label: _change ? _change.label : null,
+					bulk: Boolean(_change && _change.bulk),
+					remote: Boolean(_change && _change.remote),
+					undone: false,
+					before: {},
+					diff: {}
+				};
+				_history.push(_snapshot);
+			}
+			_snapshot.updated = _now;
+
+			// The diff is always against the snapshot's starting point
+			_changed_keys.forEach((_key) => {
+				if (!(_key in _snapshot.before)) {
+					_snapshot.before[_key] = _list_entries(_previous[_key]);
+				}
+				const _diff = _list_diff(_snapshot.before[_key], _data[_key]);
+				if (_diff) {
+					_snapshot.diff[_key] = _diff;
+				} else {
+					delete _snapshot.diff[_key];
+					delete _snapshot.before[_key];
+				}
+			});
+
+			// A typing session that ended where it started leaves nothing to restore
+			if (Object.keys(_snapshot.diff).length === 0) {
+				_history.pop();
+			}
+
+			// Drop the oldest snapshots beyond the count and size budgets
+			while (_history.length > __history_size ||
+				(_history.length > 1 && _item_bytes(__history_key, _history) > __history_bytes)) {
+				_history.shift();
+			}
+
+			chrome.storage.local.set({ [__history_key]: _history }, function() {
+				_callback();
+			});
+		});
+	}
+
+	// Read the list history, oldest snapshot first
+	function _history_get(_callback) {
+		chrome.storage.local.get([__history_key], function(_result) {
+			_callback(_result[__history_key] || []);
+		});
+	}
+
+	// Put every list back the way it was before the given snapshot's change
+	function _history_restore(_id, _callback) {
+		const _done = _callback || function() {};
+
+		_history_get(function(_history) {
+			const _index = _history.findIndex((_snapshot) => _snapshot.id === _id);
+			if (_index < 0) {
+				_done({ status: "error", message: "This version is no longer in the history." });
+				return;
+			}
+
+			// Walk back from the newest snapshot so the oldest previous content wins
+			const _lists = {};
+			for (let _i = _history.length - 1; _i >= _index; _i--) {
+				Object.assign(_lists, _history[_i].before);
+			}
+
+			const _label = _history[_index].label || "list edits";
+			_save(_lists, _done, {
+				label: `Restored to before "${_label}" (${new Date(_history[_index].time).toLocaleString()})`,
+				bulk: true
+			});
+		});
+	}
+
+	// Revert the entries added and removed by the last bulk change that wasn't undone yet
+	function _history_undo(_callback) {
+		const _done = _callback || function() {};
+
+		_history_get(function(_history) {
+			// Merges from other devices are never undone here (the other device made those edits)
+			const _snapshot = _history.slice().reverse().find((_item) => _item.bulk && !_item.remote && !_item.undone);
+			if (!_snapshot) {
+				_done({ status: "empty", message: "No bulk change to undo." });
+				return;
+			}
+
+			const _keys = Object.keys(_snapshot.diff);
+			_load(_keys, function(_result) {
+				// Based on the lists as loaded, so only the inverse of the change is applied
+				const _lists = {};
+				const _base = {};
+				_keys.forEach((_key) => {
+					const _added = new Set(_snapshot.diff[_key].added);
+					_base[_key] = _list_entries(_result[_key]);
+					const _kept = _base[_key].filter((_entry) => !_added.has(_entry));
+					const _restored = _snapshot.diff[_key].removed.filter((_entry) => !_kept.includes(_entry));
+					_lists[_key] = _kept.concat(_restored);
+				});
+
+				_save(_lists, function(_save_result) {
+					if (_save_result.status === "error") {
+						_done(_save_result);
+						return;
+					}
+					// Mark the change as undone so the next undo goes one step further back
+					_history_get(function(_latest) {
+						_latest.forEach((_item) => {
+							if (_item.id === _snapshot.id) {
+								_item.undone = true;
+							}
+						});
+						chrome.storage.local.set({ [__history_key]: _latest }, function() {
+							_done(Object.assign({}, _save_result, { label: _snapshot.label }));
+						});
+					});
+				}, { label: `Undo "${_snapshot.label}"`, bulk: false, base: _base });
+			});
+		});
+	}
+
+	// Store the popup's unsaved edits ({ lists, base, updates }) in a single write; returns
+	// the time the draft is stamped with (draft_clear removes only that draft)
+	function _draft_store(_draft, _callback) {
+		const _time = Date.now();
+		chrome.storage.local.set({ [__draft_key]: Object.assign({}, _draft, { time: _time }) }, _callback);
+		return _time;
+	}
+
+	// Remove the stored draft once it has been saved, unless a newer one replaced it
+	function _draft_clear(_time, _callback) {
+		const _done = _callback || function() {};
+		chrome.storage.local.get([__draft_key], function(_result) {
+			const _draft = _result[__draft_key];
+			if (!_draft || _draft.time !== _time) {
+				_done();
+				return;
+			}
+			chrome.storage.local.remove(__draft_key, _done);
+		});
+	}
+
+	// Apply drafted item changes ({ <key>: { <id>: changes } }) to the arrays of items
+	// with ids stored under those keys in chrome.storage.local
+	function _draft_updates_apply(_updates, _callback) {
+		const _keys = Object.keys(_updates || {});
+		if (_keys.length === 0) {
+			_callback();
+			return;
+		}
+		chrome.storage.local.get(_keys, function(_result) {
+			const _items = {};
+			_keys.forEach(function(_key) {
+				_items[_key] = (_result[_key] || []).map(function(_item) {
+					return _item.id in _updates[_key] ? Object.assign({}, _item, _updates[_key][_item.id]) : _item;
+				});
+			});
+			chrome.storage.local.set(_items, _callback);
+		});
+	}
+
+	// Save the stored draft (null when there is none)
+	function _draft_apply(_callback) {
+		const _done = _callback || function() {};
+		chrome.storage.local.get([__draft_key], function(_result) {
+			const _draft = _result[__draft_key];
+			if (!_draft) {
+				_done(null);
+				return;
+			}
+			const _lists_save = function(_lists_callback) {
+				if (!_draft.lists) {
+					_lists_callback({ status: "ok" });
+					return;
+				}
+				_save(_draft.lists, _lists_callback, { base: _draft.base || {} });
+			};
+			_lists_save(function(_save_result) {
+				// A fallback to local storage still saved the lists
+				if (_save_result.status === "error") {
+					_done(_save_result);
+					return;
+				}
+				_draft_updates_apply(_draft.updates, function() {
+					_draft_clear(_draft.time, function() {
+						_done(_save_result);
+					});
+				});
+			});
+		});
+	}
+
+	// Remove all extension data keys (including shards) from a storage area
+	function _area_clear(_storage_area, _callback) {
+		_storage_area.get(null, function(_items) {
+			const _keys_to_remove = Object.keys(_items || {}).filter(function(_key) {
+				return __data_keys.includes(_key) || _chunk_key_match(_key) !== null;
+			});
+			_storage_area.remove(_keys_to_remove, function() {
+				if (_callback) {
+					_callback();
+				}
+			});
+		});
+	}
+
+	// Report bytes used in the active storage area and its quota
+	function _usage(_callback) {
+		_area_get(function(_storage_area, _enable_sync) {
+			_storage_area.getBytesInUse(null, function(_bytes) {
+				_callback({
+					area: _enable_sync ? "sync" : "local",
+					bytes: _bytes || 0,
+					quota: _enable_sync ? __sync_quota_bytes : chrome.storage.local.QUOTA_BYTES
+				});
+			});
+		});
+	}
+
+	// Public interface
+	var pub = {
+		list_keys: __list_keys,
+		category_keys: __category_keys,
+		allow_keys: __allow_keys,
+		list_key_is: _list_key_is,
+		area_get: _area_get,
+		load: _load,
+		records_load: _records_load,
+		save: _save,
+		history_get: _history_get,
+		history_restore: _history_restore,
+		history_undo: _history_undo,
+		sync_reconcile: _sync_reconcile,
+		sync_status_get: _sync_status_get,
+		draft_key: __draft_key,
+		draft_store: _draft_store,
+		draft_clear: _draft_clear,
+		draft_apply: _draft_apply,
+		area_clear: _area_clear,
+		usage: _usage
+	};
+
+	return pub;
+};